@@ -0,0 +1,75 @@
+import process from 'process';
+import Event from '../models/Event.js';
+import { queueMail } from './mailQueue.js';
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Reminders sent before an event starts, longest lead first
+export const REMINDERS = [
+  { key: '24h', beforeMs: 24 * 60 * 60 * 1000 },
+  { key: '1h', beforeMs: 60 * 60 * 1000 },
+];
+
+// Queue reminder emails for events that entered a reminder window. Each
+// reminder goes out once per event; an event that is already inside a
+// shorter window only gets the shorter reminder.
+export const sendEventReminders = async (now = new Date()) => {
+  const sent = {};
+
+  for (const [index, reminder] of REMINDERS.entries()) {
+    const next = REMINDERS[index + 1];
+    const events = await Event.find({
+      status: 'upcoming',
+      remindersSent: { $ne: reminder.key },
+      dateTime: {
+        $gt: new Date(now.getTime() + (next ? next.beforeMs : 0)),
+        $lte: new Date(now.getTime() + reminder.beforeMs),
+      },
+    });
+
+    sent[reminder.key] = 0;
+    for (const event of events) {
+      // Claim the reminder first so two servers don't both send it
+      const claimed = await Event.updateOne(
+        { _id: event._id, remindersSent: { $ne: reminder.key } },
+        { $addToSet: { remindersSent: reminder.key } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await queueMail(event.attendees, 'reminders', 'eventReminder', {
+        event,
+        now,
+      });
+      sent[reminder.key]++;
+    }
+  }
+
+  return sent;
+};
+
+// Check for due reminders now and then on a fixed interval. Returns a
+// function that stops the scheduler.
+export const startEventReminderScheduler = (
+  intervalMs = Number(process.env.EVENT_REMINDER_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await sendEventReminders();
+    } catch (error) {
+      console.error('Event reminder error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMs);
+
+  return () => clearInterval(interval);
+};
@@ -0,0 +1,76 @@
+import process from 'process';
+import Event, { DEFAULT_DURATION_MS } from '../models/Event.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Derive status from the schedule: upcoming before dateTime, ongoing until
+// endTime, completed afterwards. Cancelled events are left alone. Moving an
+// event back into the future turns it upcoming again. `filter` narrows the
+// run to specific events, e.g. right after an edit.
+export const updateEventStatuses = async (filter = {}, now = new Date()) => {
+  // Events created before endTime existed get the default duration
+  await Event.updateMany({ ...filter, endTime: null }, [
+    { $set: { endTime: { $add: ['$dateTime', DEFAULT_DURATION_MS] } } },
+  ]);
+
+  const completed = await Event.updateMany(
+    {
+      ...filter,
+      status: { $in: ['upcoming', 'ongoing'] },
+      endTime: { $lte: now },
+    },
+    { $set: { status: 'completed' } }
+  );
+
+  const ongoing = await Event.updateMany(
+    {
+      ...filter,
+      status: { $in: ['upcoming', 'completed'] },
+      dateTime: { $lte: now },
+      endTime: { $gt: now },
+    },
+    { $set: { status: 'ongoing' } }
+  );
+
+  const upcoming = await Event.updateMany(
+    {
+      ...filter,
+      status: { $in: ['ongoing', 'completed'] },
+      dateTime: { $gt: now },
+    },
+    { $set: { status: 'upcoming' } }
+  );
+
+  return {
+    completed: completed.modifiedCount,
+    ongoing: ongoing.modifiedCount,
+    upcoming: upcoming.modifiedCount,
+  };
+};
+
+// Run the status update now and then on a fixed interval. Returns a function
+// that stops the scheduler.
+export const startEventStatusScheduler = (
+  intervalMs = Number(process.env.EVENT_STATUS_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await updateEventStatuses();
+    } catch (error) {
+      console.error('Event status update error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMs);
+
+  return () => clearInterval(interval);
+};
@@ -0,0 +1,161 @@
+import process from 'process';
+import MailJob from '../models/MailJob.js';
+import User from '../models/User.js';
+import { sendMail } from '../utils/mailer.js';
+import { renderMail } from '../utils/mailTemplates.js';
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+// Delivery attempts before a job is marked failed; the delay between them
+// doubles from RETRY_DELAY_MS
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// A job still "sending" after this long belongs to a worker that died
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Jobs sent per run, so one run can't take forever
+const BATCH_SIZE = 50;
+
+// Queue a templated email to each of the users who have not turned off
+// `preference`. Like activity tracking, a failure is logged rather than
+// failing the request that caused it.
+export const queueMail = async (userIds, preference, template, data) => {
+  try {
+    if (userIds.length === 0) return [];
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      [`emailPreferences.${preference}`]: { $ne: false },
+    }).select('name email');
+
+    return await MailJob.insertMany(
+      users.map((user) => ({
+        to: user.email,
+        template,
+        ...renderMail(template, { ...data, user }),
+      }))
+    );
+  } catch (error) {
+    console.error('Queue mail error:', error);
+    return [];
+  }
+};
+
+// Send an account email (verification, password reset) to `user` right
+// away. These carry single-use tokens, so unlike queued mail the rendered
+// message is never stored. A failure is logged like in queueMail; the user
+// can ask for another link.
+export const sendAccountMail = async (user, template, data) => {
+  try {
+    await sendMail({
+      to: user.email,
+      ...renderMail(template, { ...data, user }),
+    });
+    return true;
+  } catch (error) {
+    console.error('Send account mail error:', error);
+    return false;
+  }
+};
+
+// Try to send one claimed job, rescheduling it with backoff when that fails
+const deliver = async (job) => {
+  const attempts = job.attempts + 1;
+
+  try {
+    await sendMail({
+      to: job.to,
+      subject: job.subject,
+      text: job.text,
+      html: job.html,
+    });
+    await MailJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'sent',
+          attempts,
+          sentAt: new Date(),
+          lockedAt: null,
+          lastError: '',
+        },
+      }
+    );
+    return true;
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    if (failed) console.error(`Mail to ${job.to} failed for good:`, error);
+
+    await MailJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          runAt: new Date(Date.now() + RETRY_DELAY_MS * 2 ** (attempts - 1)),
+          lockedAt: null,
+          lastError: error.message,
+        },
+      }
+    );
+    return false;
+  }
+};
+
+// Send the jobs that are due. Each job is claimed atomically, so several
+// servers can share the queue.
+export const processMailQueue = async (now = new Date()) => {
+  await MailJob.updateMany(
+    {
+      status: 'sending',
+      lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+    },
+    { $set: { status: 'pending', lockedAt: null } }
+  );
+
+  const result = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const job = await MailJob.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: new Date() } },
+      { sort: { runAt: 1 }, new: true }
+    );
+    if (!job) break;
+
+    if (await deliver(job)) {
+      result.sent++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+// Work the queue now and then on a fixed interval. Returns a function that
+// stops it.
+export const startMailQueue = (
+  intervalMs = Number(process.env.MAIL_QUEUE_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await processMailQueue();
+    } catch (error) {
+      console.error('Mail queue error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMs);
+
+  return () => clearInterval(interval);
+};
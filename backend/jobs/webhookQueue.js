@@ -0,0 +1,256 @@
+import { Buffer } from 'buffer';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import process from 'process';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import {
+  getBlockedHostError,
+  isBlockedAddress,
+  signPayload,
+} from '../utils/webhooks.js';
+
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+
+// Delivery attempts before a delivery is marked failed; the delay between
+// them doubles from RETRY_DELAY_MS
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Endpoints that take longer than this count as failed
+const REQUEST_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// A delivery still "sending" after this long belongs to a worker that died
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Deliveries sent per run, so one run can't take forever
+const BATCH_SIZE = 50;
+
+// Every payload is { type, createdAt, data }
+const buildDelivery = (webhook, type, data) => ({
+  webhook: webhook._id,
+  event: type,
+  payload: { type, createdAt: new Date(), data },
+});
+
+// Queue a delivery to one webhook. `type` is a webhook event or "ping".
+export const createDelivery = (webhook, type, data) =>
+  WebhookDelivery.create(buildDelivery(webhook, type, data));
+
+// Queue `type` for each active webhook of `ownerId` that subscribes to it.
+// Like mail, a failure is logged rather than failing the request that
+// caused it.
+export const queueWebhooks = async (ownerId, type, data) => {
+  try {
+    const webhooks = await Webhook.find({
+      owner: ownerId,
+      active: true,
+      events: type,
+    });
+    if (webhooks.length === 0) return [];
+
+    return await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => buildDelivery(webhook, type, data))
+    );
+  } catch (error) {
+    console.error('Queue webhook error:', error);
+    return [];
+  }
+};
+
+// dns.lookup for the delivery's own connection that refuses private
+// addresses. Checking what the socket actually connects to means a host
+// can't pass a check and then resolve somewhere internal (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to a private or reserved address`)
+      );
+    }
+    callback(null, address, family);
+  });
+};
+
+// POST the payload, signed with the webhook's secret. Resolves with the
+// response status and size; anything but a 2xx rejects. Redirects are not
+// followed and the body is never kept, so the log can't be used to read
+// what an endpoint returns.
+const post = (webhook, delivery) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(webhook.url);
+    const hostError = getBlockedHostError(url.hostname);
+    if (hostError) {
+      reject(new Error(hostError));
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const client = url.protocol === 'https:' ? https : http;
+
+    const request = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'Eventify-Webhooks/1.0',
+          'X-Eventify-Event': delivery.event,
+          'X-Eventify-Delivery': delivery._id.toString(),
+          'X-Eventify-Timestamp': timestamp,
+          'X-Eventify-Signature': signPayload(webhook.secret, timestamp, body),
+        },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      },
+      (response) => {
+        let size = 0;
+        response.on('data', (chunk) => {
+          size += chunk.length;
+        });
+        response.on('error', reject);
+        response.on('end', () => {
+          const result = { status: response.statusCode, size };
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve(result);
+            return;
+          }
+          const error = new Error(
+            `Endpoint responded with ${response.statusCode}`
+          );
+          error.response = result;
+          reject(error);
+        });
+      }
+    );
+
+    request.on('error', reject);
+    request.end(body);
+  });
+
+// Try one claimed delivery, rescheduling it with backoff when that fails
+const deliver = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  // Removed or switched off since the delivery was queued
+  if (!webhook || !webhook.active) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: 'failed',
+          lockedAt: null,
+          lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+        },
+      }
+    );
+    return false;
+  }
+
+  try {
+    const response = await post(webhook, delivery);
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: 'succeeded',
+          attempts,
+          deliveredAt: new Date(),
+          lockedAt: null,
+          responseStatus: response.status,
+          responseSize: response.size,
+          lastError: '',
+        },
+      }
+    );
+    return true;
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    const message =
+      error.cause?.name === 'TimeoutError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+        : error.message;
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          runAt: new Date(Date.now() + RETRY_DELAY_MS * 2 ** (attempts - 1)),
+          lockedAt: null,
+          responseStatus: error.response?.status ?? null,
+          responseSize: error.response?.size ?? null,
+          lastError: message,
+        },
+      }
+    );
+    return false;
+  }
+};
+
+// Send the deliveries that are due. Each delivery is claimed atomically, so
+// several servers can share the queue.
+export const processWebhookQueue = async (now = new Date()) => {
+  await WebhookDelivery.updateMany(
+    {
+      status: 'sending',
+      lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+    },
+    { $set: { status: 'pending', lockedAt: null } }
+  );
+
+  const result = { succeeded: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: now } },
+      { $set: { status: 'sending', lockedAt: new Date() } },
+      { sort: { runAt: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    if (await deliver(delivery)) {
+      result.succeeded++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+// Work the queue now and then on a fixed interval. Returns a function that
+// stops it.
+export const startWebhookQueue = (
+  intervalMs = Number(process.env.WEBHOOK_QUEUE_INTERVAL_MS) ||
+    DEFAULT_INTERVAL_MS
+) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await processWebhookQueue();
+    } catch (error) {
+      console.error('Webhook queue error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMs);
+
+  return () => clearInterval(interval);
+};
@@ -2,12 +2,48 @@ import dotenv from 'dotenv';
 import process from 'process';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import ApiKey, { API_KEY_PREFIX } from '../models/ApiKey.js';
+import Session from '../models/Session.js';
 
 dotenv.config();
 
+const getToken = (req) => req.header('Authorization')?.replace('Bearer ', '');
+
+// The user and session of an access token, as long as the session hasn't
+// been revoked or expired. Throws for bad tokens like jwt.verify.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = await Session.findActive(decoded.sessionId);
+
+  if (!session) throw new Error('Session has ended');
+  return { userId: session.user, sessionId: session._id };
+};
+
+// Let API keys with `scope` use a route, e.g.
+// `router.get('/', auth, allowApiKey('events:read'), ...)`. Routes without it
+// only accept signed-in sessions.
+export const allowApiKey = (scope) => {
+  const middleware = (req, res, next) => next();
+  middleware.apiKeyScope = scope;
+  return middleware;
+};
+
+// Why `apiKey` can't be used on this route, or null when it can
+const getApiKeyError = (req, apiKey) => {
+  const scope = req.route?.stack.find((layer) => layer.handle.apiKeyScope)
+    ?.handle.apiKeyScope;
+
+  if (!scope) return 'API keys cannot be used for this endpoint.';
+  if (!apiKey.scopes.includes(scope)) {
+    return `This API key is missing the "${scope}" scope.`;
+  }
+  return null;
+};
+
+// Bearer access tokens from login, or personal API keys on the routes that allow them
 const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = getToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -16,8 +52,34 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    let userId;
+    if (token.startsWith(API_KEY_PREFIX)) {
+      const apiKey = await ApiKey.findByKey(token);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired API key.',
+        });
+      }
+
+      const apiKeyError = getApiKeyError(req, apiKey);
+      if (apiKeyError) {
+        return res.status(403).json({
+          success: false,
+          message: apiKeyError,
+        });
+      }
+
+      req.apiKey = apiKey;
+      userId = apiKey.user;
+    } else {
+      const access = await verifyAccessToken(token);
+      req.sessionId = access.sessionId;
+      userId = access.userId;
+    }
+
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return res.status(401).json({
@@ -37,4 +99,51 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let guests through. An
+// expired access token is still refused so the client refreshes it rather
+// than quietly getting the guest view.
+export const optionalAuth = async (req, res, next) => {
+  const token = getToken(req);
+
+  try {
+    if (token?.startsWith(API_KEY_PREFIX)) {
+      const apiKey = await ApiKey.findByKey(token);
+      if (apiKey && !getApiKeyError(req, apiKey)) {
+        req.apiKey = apiKey;
+        req.user = await User.findById(apiKey.user).select('-password');
+      }
+    } else if (token) {
+      const access = await verifyAccessToken(token);
+      req.sessionId = access.sessionId;
+      req.user = await User.findById(access.userId).select('-password');
+    }
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.',
+        error: error.message,
+      });
+    }
+    // An invalid token or ended session just means a guest view
+    req.user = null;
+  }
+  next();
+};
+
+// With REQUIRE_VERIFIED_EMAIL=true, keep users who haven't confirmed their
+// email address away from the route. Goes after `auth`.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_VERIFIED_EMAIL === 'true' &&
+    !req.user.emailVerified
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+    });
+  }
+  next();
+};
+
 export default auth;
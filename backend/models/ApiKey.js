@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// What a key may do. Routes open to API keys name the one scope they need,
+// see allowApiKey in middleware/auth.js.
+export const API_KEY_SCOPES = [
+  'events:read',
+  'events:manage',
+  'attendees:manage',
+];
+
+// Keys start with this so the auth middleware can tell them from JWTs
+export const API_KEY_PREFIX = 'evk_';
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Only a hash of the key is stored; the key itself is shown once when it's
+// created
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name must not exceed 50 characters'],
+    },
+    hash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, so the user can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'Choose at least one scope',
+      },
+    },
+    // Null for keys that don't expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Create a key for `user`. Resolves with the document and the key, which
+// can't be recovered later.
+apiKeySchema.statics.generate = async function (user, fields) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await this.create({
+    ...fields,
+    user,
+    hash: hashKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+  });
+  return { apiKey, key };
+};
+
+// The unexpired key matching `key`, or null. Records the use.
+apiKeySchema.statics.findByKey = async function (key) {
+  const now = new Date();
+  const apiKey = await this.findOne({
+    hash: hashKey(key),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  });
+
+  if (
+    apiKey &&
+    (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS)
+  ) {
+    await this.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+  }
+  return apiKey;
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// A question or comment on an event's discussion thread. Replies point at a
+// top-level comment through `parent`; threads are one level deep.
+const commentSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Event is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment must not exceed 2000 characters'],
+      default: '',
+    },
+    // Pinned by the organizer: a top-level comment is shown first, a reply
+    // is marked as the answer to its thread
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // A deleted comment with replies keeps its place in the thread with the
+    // text removed
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ event: 1, parent: 1, createdAt: 1 });
+
+export default mongoose.model('Comment', commentSchema);
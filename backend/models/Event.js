@@ -1,4 +1,169 @@
 import mongoose from 'mongoose';
+
+// Events created without an end time last an hour
+export const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Upper bound for maxGuestsPerAttendee
+export const MAX_GUESTS_PER_ATTENDEE = 10;
+
+export const QUESTION_TYPES = ['text', 'single', 'multiple'];
+
+// Query for events shown in listings and on profiles. Unlisted and
+// invite-only events are left out; events from before visibility existed
+// have no value and count as public.
+export const LISTED_EVENTS = {
+  visibility: { $nin: ['unlisted', 'invite-only'] },
+};
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1'],
+    },
+    // YYYY-MM-DD in the series time zone
+    until: {
+      type: String,
+      default: null,
+    },
+    count: {
+      type: Number,
+      default: null,
+    },
+    exceptions: [String],
+    timeZone: {
+      type: String,
+      default: 'UTC',
+    },
+  },
+  { _id: false }
+);
+
+// A link (token) that lets someone into an invite-only event. With an email
+// it is only valid for that account, and that account may also join without
+// the link.
+const invitationSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// A named guest brought by a seated attendee (the host). Guests take seats
+// but have no account of their own.
+const guestSchema = new mongoose.Schema(
+  {
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Guest name must not exceed 100 characters'],
+    },
+  },
+  { _id: false }
+);
+
+// A question attendees answer when registering or in the post-event survey.
+// Choice questions ("single", "multiple") pick from `options`.
+const questionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [200, 'Question text must not exceed 200 characters'],
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'text',
+  },
+  options: [String],
+  required: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// A user's registration answers, keyed by question id. Values are strings,
+// or arrays of strings for "multiple" questions.
+const registrationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    answers: [
+      {
+        _id: false,
+        question: mongoose.Schema.Types.ObjectId,
+        value: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    answeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A user's answer to an event. "going" mirrors a seat or waitlist place;
+// "invited" is set for invitees who have not answered yet.
+const rsvpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['going', 'maybe', 'declined', 'invited'],
+      required: true,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const eventSchema = new mongoose.Schema(
   {
     title: {
@@ -42,6 +207,15 @@ const eventSchema = new mongoose.Schema(
         message: 'Event date must be in the future',
       },
     },
+    endTime: {
+      type: Date,
+      validate: {
+        validator: function (v) {
+          return !this.dateTime || v > this.dateTime;
+        },
+        message: 'End time must be after the start time',
+      },
+    },
     attendeeCount: {
       type: Number,
       default: 0,
@@ -53,21 +227,128 @@ const eventSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    checkIns: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        checkedInAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     maxAttendees: {
       type: Number,
       default: null,
       min: [1, 'Maximum attendees must be at least 1'],
     },
+    // How many named guests each attendee may bring; 0 allows none
+    maxGuestsPerAttendee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Guests per attendee cannot be negative'],
+      max: [
+        MAX_GUESTS_PER_ATTENDEE,
+        `Guests per attendee must not exceed ${MAX_GUESTS_PER_ATTENDEE}`,
+      ],
+    },
+    guests: [guestSchema],
+    registrationQuestions: [questionSchema],
+    // Only the organizer sees answers, so they are loaded on request. They
+    // are kept when a user leaves; registering again replaces them.
+    registrations: {
+      type: [registrationSchema],
+      select: false,
+    },
+    waitlist: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Guest names, seated together with the user
+        guests: [String],
+      },
+    ],
+    rsvps: [rsvpSchema],
+    // Optional survey attendees fill in alongside their review
+    feedbackQuestions: [questionSchema],
+    // Aggregate of visible reviews, refreshed by Review.refreshEventRating
+    rating: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 },
+    },
+    // Maintained alongside attendees/waitlist/rsvps; going counts taken
+    // seats (attendees and their guests), like attendeeCount
+    rsvpCounts: {
+      going: { type: Number, default: 0 },
+      waitlisted: { type: Number, default: 0 },
+      maybe: { type: Number, default: 0 },
+      declined: { type: Number, default: 0 },
+      invited: { type: Number, default: 0 },
+    },
+    // Kept in step with dateTime/endTime by jobs/eventStatus.js
     status: {
       type: String,
       enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
       default: 'upcoming',
     },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cancellation reason must not exceed 500 characters'],
+      default: '',
+    },
     category: {
       type: String,
       enum: ['conference', 'workshop', 'meetup', 'webinar', 'social', 'other'],
       default: 'other',
     },
+    // Only public events are listed; unlisted ones are reachable by link and
+    // invite-only ones need an invitation
+    visibility: {
+      type: String,
+      enum: ['public', 'unlisted', 'invite-only'],
+      default: 'public',
+    },
+    invitations: {
+      type: [invitationSchema],
+      select: false,
+    },
+    // Occurrences of a recurring event share a seriesId and the rule they
+    // were generated from
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    // Reminder emails already sent (see jobs/eventReminders.js); cleared
+    // when the event is rescheduled
+    remindersSent: {
+      type: [String],
+      select: false,
+    },
+    // iCalendar SEQUENCE, bumped on every organizer edit so subscribed
+    // calendars pick up the change
+    sequence: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -78,6 +359,11 @@ const eventSchema = new mongoose.Schema(
 eventSchema.index({ dateTime: -1 });
 eventSchema.index({ title: 'text', description: 'text' });
 eventSchema.index({ creator: 1 });
+eventSchema.index({ 'waitlist.user': 1 });
+eventSchema.index({ 'rsvps.user': 1 });
+eventSchema.index({ seriesId: 1, dateTime: 1 });
+eventSchema.index({ status: 1, endTime: 1 });
+eventSchema.index({ 'invitations.token': 1 });
 
 // Virtual for formatted date
 eventSchema.virtual('formattedDate').get(function () {
@@ -90,9 +376,610 @@ eventSchema.virtual('formattedDate').get(function () {
   });
 });
 
-// Update attendee count when attendees array changes
+// Whether the user created (and so manages) this event
+eventSchema.methods.isOrganizer = function (userId) {
+  return (this.creator._id || this.creator).toString() === userId.toString();
+};
+
+// Where a user stands on this event: attending, waitlisted or not involved,
+// plus their RSVP answer if they gave one and the guests they bring
+eventSchema.methods.getParticipation = function (userId) {
+  const id = userId.toString();
+  const entry = (this.rsvps || []).find(
+    (rsvp) => (rsvp.user._id || rsvp.user).toString() === id
+  );
+  const rsvp = entry ? entry.status : null;
+
+  if (
+    this.attendees.some(
+      (attendee) => (attendee._id || attendee).toString() === id
+    )
+  ) {
+    return {
+      status: 'attending',
+      waitlistPosition: null,
+      rsvp: 'going',
+      guests: (this.guests || [])
+        .filter((guest) => guest.host.toString() === id)
+        .map((guest) => guest.name),
+    };
+  }
+
+  const index = this.waitlist.findIndex(
+    (entry) => (entry.user._id || entry.user).toString() === id
+  );
+  if (index !== -1) {
+    return {
+      status: 'waitlisted',
+      waitlistPosition: index + 1,
+      rsvp: 'going',
+      guests: [...(this.waitlist[index].guests || [])],
+    };
+  }
+
+  return { status: null, waitlistPosition: null, rsvp, guests: [] };
+};
+
+// Join/leave run as conditional single-document updates so capacity checks
+// and list changes happen in one atomic write. The matching change on
+// User.joinedEvents follows immediately; if it fails the event write is
+// undone, and `npm run repair:attendance` fixes anything left by a crash.
+
+// Seats are counted from the arrays themselves so a drifted attendeeCount
+// can never let an event overbook. Every attendee and guest takes one.
+const seatsTaken = {
+  $add: [{ $size: '$attendees' }, { $size: { $ifNull: ['$guests', []] } }],
+};
+
+const hasFreeSeats = (seats) => ({
+  $or: [
+    { maxAttendees: null },
+    { $expr: { $lte: [{ $add: [seatsTaken, seats] }, '$maxAttendees'] } },
+  ],
+});
+
+const withoutGuests = (userId) => ({
+  $filter: {
+    input: { $ifNull: ['$guests', []] },
+    cond: { $ne: ['$$this.host', userId] },
+  },
+});
+
+const withoutRegistration = (userId) => ({
+  $filter: {
+    input: { $ifNull: ['$registrations', []] },
+    cond: { $ne: ['$$this.user', userId] },
+  },
+});
+
+const withRegistration = (userId, answers) => ({
+  $concatArrays: [
+    withoutRegistration(userId),
+    [{ $literal: { user: userId, answers, answeredAt: new Date() } }],
+  ],
+});
+
+const withGuests = (userId, names) => ({
+  $concatArrays: [
+    withoutGuests(userId),
+    // Names are wrapped in $literal so a guest called "$title" stays a name
+    { $literal: names.map((name) => ({ host: userId, name })) },
+  ],
+});
+
+// Cancelled and completed events keep their lists but accept nobody new
+const isOpen = { status: { $nin: ['cancelled', 'completed'] } };
+
+const notParticipating = (userId) => ({
+  attendees: { $ne: userId },
+  'waitlist.user': { $ne: userId },
+});
+
+const withoutUser = (userId) => ({
+  $filter: { input: '$attendees', cond: { $ne: ['$$this', userId] } },
+});
+
+const withoutCheckIn = (userId) => ({
+  $filter: {
+    input: { $ifNull: ['$checkIns', []] },
+    cond: { $ne: ['$$this.user', userId] },
+  },
+});
+
+const withoutRsvp = (userId) => ({
+  $filter: {
+    input: { $ifNull: ['$rsvps', []] },
+    cond: { $ne: ['$$this.user', userId] },
+  },
+});
+
+// Set the user's RSVP, replacing any earlier answer
+const withRsvp = (userId, status) => ({
+  $concatArrays: [
+    withoutRsvp(userId),
+    [{ user: userId, status, updatedAt: '$$NOW' }],
+  ],
+});
+
+const countRsvps = (status) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: ['$rsvps', []] },
+      cond: { $eq: ['$$this.status', status] },
+    },
+  },
+});
+
+const syncCounts = {
+  $set: {
+    attendeeCount: seatsTaken,
+    rsvpCounts: {
+      going: seatsTaken,
+      waitlisted: { $size: { $ifNull: ['$waitlist', []] } },
+      maybe: countRsvps('maybe'),
+      declined: countRsvps('declined'),
+      invited: countRsvps('invited'),
+    },
+  },
+};
+
+const addJoinedEvent = (userId, eventId) =>
+  mongoose
+    .model('User')
+    .updateOne({ _id: userId }, { $addToSet: { joinedEvents: eventId } });
+
+const removeJoinedEvent = (userId, eventId) =>
+  mongoose
+    .model('User')
+    .updateOne({ _id: userId }, { $pull: { joinedEvents: eventId } });
+
+// Take free seats for the user and their guests, or a place at the back of
+// the waitlist when there aren't enough (or others are already waiting).
+// Registration answers are stored in the same write. Returns
+// { event, status } or null when the user is already participating, the
+// event is cancelled, over or does not exist.
+eventSchema.statics.join = async function (
+  eventId,
+  userId,
+  { guests = [], answers = [] } = {}
+) {
+  const registrations = withRegistration(userId, answers);
+
+  const seated = await this.findOneAndUpdate(
+    {
+      _id: eventId,
+      ...isOpen,
+      ...notParticipating(userId),
+      'waitlist.0': { $exists: false },
+      ...hasFreeSeats(1 + guests.length),
+    },
+    [
+      {
+        $set: {
+          attendees: { $concatArrays: ['$attendees', [userId]] },
+          guests: withGuests(userId, guests),
+          rsvps: withRsvp(userId, 'going'),
+          registrations,
+        },
+      },
+      syncCounts,
+    ],
+    { new: true }
+  );
+
+  if (seated) {
+    try {
+      await addJoinedEvent(userId, eventId);
+    } catch (error) {
+      await this.updateOne({ _id: eventId }, [
+        {
+          $set: {
+            attendees: withoutUser(userId),
+            guests: withoutGuests(userId),
+            rsvps: withoutRsvp(userId),
+            registrations: withoutRegistration(userId),
+          },
+        },
+        syncCounts,
+      ]);
+      throw error;
+    }
+    return { event: seated, status: 'attending' };
+  }
+
+  const queued = await this.findOneAndUpdate(
+    { _id: eventId, ...isOpen, ...notParticipating(userId) },
+    [
+      {
+        $set: {
+          waitlist: {
+            $concatArrays: [
+              '$waitlist',
+              [
+                {
+                  _id: new mongoose.Types.ObjectId(),
+                  user: userId,
+                  joinedAt: '$$NOW',
+                  guests: { $literal: guests },
+                },
+              ],
+            ],
+          },
+          rsvps: withRsvp(userId, 'going'),
+          registrations,
+        },
+      },
+      syncCounts,
+    ],
+    { new: true }
+  );
+
+  if (!queued) return null;
+
+  // A seat may have freed up between the two writes
+  const promoted = await this.promoteWaitlisted(eventId);
+  const event = promoted.length > 0 ? await this.findById(eventId) : queued;
+
+  return { event, status: event.getParticipation(userId).status };
+};
+
+// Give up a seat or a waitlist place, recording `rsvp` (declined by default)
+// as the new answer; null clears it, e.g. when the organizer removes someone.
+// A freed seat is handed to the next user in line. Returns
+// { event, previousStatus, promoted } or null when the user was not
+// participating.
+eventSchema.statics.leave = async function (
+  eventId,
+  userId,
+  rsvp = 'declined'
+) {
+  const rsvps = rsvp ? withRsvp(userId, rsvp) : withoutRsvp(userId);
+
+  // The previous document is kept to restore the user's guests on rollback
+  const unseated = await this.findOneAndUpdate(
+    { _id: eventId, attendees: userId },
+    [
+      {
+        $set: {
+          attendees: withoutUser(userId),
+          guests: withoutGuests(userId),
+          checkIns: withoutCheckIn(userId),
+          rsvps,
+        },
+      },
+      syncCounts,
+    ],
+    { new: false }
+  );
+
+  if (unseated) {
+    try {
+      await removeJoinedEvent(userId, eventId);
+    } catch (error) {
+      await this.updateOne({ _id: eventId }, [
+        {
+          $set: {
+            attendees: { $concatArrays: ['$attendees', [userId]] },
+            guests: withGuests(
+              userId,
+              unseated.getParticipation(userId).guests
+            ),
+            rsvps: withRsvp(userId, 'going'),
+          },
+        },
+        syncCounts,
+      ]);
+      throw error;
+    }
+
+    const promoted = await this.promoteWaitlisted(eventId);
+    const event = await this.findById(eventId);
+
+    return { event, previousStatus: 'attending', promoted };
+  }
+
+  const dequeued = await this.findOneAndUpdate(
+    { _id: eventId, 'waitlist.user': userId },
+    [
+      {
+        $set: {
+          waitlist: {
+            $filter: {
+              input: '$waitlist',
+              cond: { $ne: ['$$this.user', userId] },
+            },
+          },
+          rsvps,
+        },
+      },
+      syncCounts,
+    ],
+    { new: true }
+  );
+
+  if (!dequeued) return null;
+
+  return { event: dequeued, previousStatus: 'waitlisted', promoted: [] };
+};
+
+// Answer maybe/declined for a user who holds no seat or waitlist place.
+// Returns the updated event, or null when the user is participating (use
+// leave) or the event is closed.
+eventSchema.statics.setRsvp = function (eventId, userId, status) {
+  return this.findOneAndUpdate(
+    { _id: eventId, ...isOpen, ...notParticipating(userId) },
+    [{ $set: { rsvps: withRsvp(userId, status) } }, syncCounts],
+    { new: true }
+  );
+};
+
+// Replace the guests a participant brings. A seated attendee only gets more
+// guests if there are free seats for them; fewer guests free seats for the
+// waitlist. Returns { event, status } or null when the user is not
+// participating, the seats ran out or the event is closed.
+eventSchema.statics.updateGuests = async function (eventId, userId, guests) {
+  const seated = await this.findOneAndUpdate(
+    {
+      _id: eventId,
+      ...isOpen,
+      attendees: userId,
+      $or: [
+        { maxAttendees: null },
+        {
+          $expr: {
+            $lte: [
+              {
+                $add: [
+                  { $size: '$attendees' },
+                  { $size: withoutGuests(userId) },
+                  guests.length,
+                ],
+              },
+              '$maxAttendees',
+            ],
+          },
+        },
+      ],
+    },
+    [{ $set: { guests: withGuests(userId, guests) } }, syncCounts],
+    { new: true }
+  );
+
+  const updated =
+    seated ||
+    (await this.findOneAndUpdate(
+      { _id: eventId, ...isOpen, 'waitlist.user': userId },
+      { $set: { 'waitlist.$.guests': guests } },
+      { new: true }
+    ));
+
+  if (!updated) return null;
+
+  // A smaller party may let the waitlist move up
+  const promoted = await this.promoteWaitlisted(eventId);
+  const event = promoted.length > 0 ? await this.findById(eventId) : updated;
+
+  return { event, status: event.getParticipation(userId).status };
+};
+
+// Record invitees as "invited" unless they have already answered or joined
+eventSchema.statics.markInvited = async function (eventId, userIds) {
+  for (const userId of userIds) {
+    await this.updateOne(
+      {
+        _id: eventId,
+        'rsvps.user': { $ne: userId },
+        ...notParticipating(userId),
+      },
+      [{ $set: { rsvps: withRsvp(userId, 'invited') } }, syncCounts]
+    );
+  }
+};
+
+// Record an attendee's arrival. The conditional push makes double check-in
+// impossible even with two scanners racing; returns null when the user is
+// not an attendee or is already checked in.
+eventSchema.statics.checkIn = function (eventId, userId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, attendees: userId, 'checkIns.user': { $ne: userId } },
+    { $push: { checkIns: { user: userId, checkedInAt: new Date() } } },
+    { new: true }
+  );
+};
+
+// Move users (with their guests) from the front of the waitlist into free
+// seats, one atomic write per party. The line is strictly first come, first
+// served: a party that doesn't fit yet holds up those behind it. Returns the
+// ids of the promoted users.
+eventSchema.statics.promoteWaitlisted = async function (eventId) {
+  const promoted = [];
+
+  for (;;) {
+    const before = await this.findOneAndUpdate(
+      {
+        _id: eventId,
+        ...isOpen,
+        'waitlist.0': { $exists: true },
+        ...hasFreeSeats({
+          $let: {
+            vars: { next: { $arrayElemAt: ['$waitlist', 0] } },
+            in: { $add: [1, { $size: { $ifNull: ['$$next.guests', []] } }] },
+          },
+        }),
+      },
+      [
+        { $set: { nextInLine: { $arrayElemAt: ['$waitlist', 0] } } },
+        {
+          $set: {
+            attendees: { $concatArrays: ['$attendees', ['$nextInLine.user']] },
+            guests: {
+              $concatArrays: [
+                { $ifNull: ['$guests', []] },
+                {
+                  $map: {
+                    input: { $ifNull: ['$nextInLine.guests', []] },
+                    in: { host: '$nextInLine.user', name: '$$this' },
+                  },
+                },
+              ],
+            },
+            waitlist: {
+              $slice: ['$waitlist', 1, { $max: [{ $size: '$waitlist' }, 1] }],
+            },
+          },
+        },
+        { $unset: 'nextInLine' },
+        syncCounts,
+      ],
+      { new: false }
+    );
+
+    if (!before) break;
+
+    // The seat is taken either way; a missed joinedEvents update is left
+    // to `npm run repair:attendance` so the caller's change still completes
+    const userId = before.waitlist[0].user;
+    try {
+      await addJoinedEvent(userId, eventId);
+    } catch (error) {
+      console.error(`Promote waitlisted user ${userId} error:`, error);
+    }
+    promoted.push(userId);
+  }
+
+  return promoted;
+};
+
+// The invitation that lets this user (or a guest holding `token`) in, if
+// any. Requires the invitations to have been selected.
+eventSchema.methods.findInvitation = function (user, token) {
+  const email = user?.email?.toLowerCase();
+
+  return (this.invitations || []).find((invitation) => {
+    if (invitation.revokedAt) return false;
+
+    // A claimed invitation keeps working for the user who claimed it
+    if (user && invitation.acceptedBy?.toString() === user._id.toString()) {
+      return true;
+    }
+
+    if (token && invitation.token === token) {
+      const acceptedByOther =
+        invitation.acceptedBy &&
+        (!user || invitation.acceptedBy.toString() !== user._id.toString());
+      const forOther = invitation.email && user && invitation.email !== email;
+      return !acceptedByOther && !forOther;
+    }
+
+    return Boolean(email) && invitation.email === email;
+  });
+};
+
+// Whether a user (or a guest holding an invitation token) may see and join
+// the event. Requires the invitations to have been selected.
+eventSchema.methods.canAccess = function (user, token) {
+  if (this.visibility !== 'invite-only') return true;
+
+  if (user) {
+    if (this.isOrganizer(user._id)) return true;
+    if (this.getParticipation(user._id).status) return true;
+  }
+
+  return Boolean(this.findInvitation(user, token));
+};
+
+// Mark an invitation as used by a user. Fails when someone else got there
+// first, so a link invitation admits one person.
+eventSchema.statics.claimInvitation = async function (
+  eventId,
+  invitationId,
+  userId
+) {
+  const result = await this.updateOne(
+    {
+      _id: eventId,
+      invitations: {
+        $elemMatch: {
+          _id: invitationId,
+          revokedAt: null,
+          acceptedBy: { $in: [null, userId] },
+        },
+      },
+    },
+    {
+      $set: {
+        'invitations.$.acceptedBy': userId,
+        'invitations.$.acceptedAt': new Date(),
+      },
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Lists only the organizer sees: who brings which guests, who is waiting,
+// everyone's answer and who checked in, plus the ones loaded on request
+const PRIVATE_LISTS = [
+  'guests',
+  'waitlist',
+  'rsvps',
+  'checkIns',
+  'registrations',
+  'invitations',
+  'remindersSent',
+];
+
+// People are shown to others by name and photo only
+const toPublicPerson = (person) =>
+  person && person.name !== undefined
+    ? { _id: person._id, name: person.name, photoURL: person.photoURL }
+    : person;
+
+// The event as a user (or, without userId, a visitor) may see it. Anyone
+// but the organizer gets counts instead of the private lists, plus where
+// they stand themselves when signed in.
+eventSchema.methods.toViewerJSON = function (userId) {
+  const json = this.toJSON();
+  json.guestCount = (this.guests || []).length;
+  if (userId && this.isOrganizer(userId)) return json;
+
+  PRIVATE_LISTS.forEach((field) => {
+    delete json[field];
+  });
+  json.creator = toPublicPerson(json.creator);
+  json.attendees = (json.attendees || []).map(toPublicPerson);
+  if (userId) json.participation = this.getParticipation(userId);
+  return json;
+};
+
+// Everyone who should hear about changes to the event: attendees and the
+// waitlist
+eventSchema.methods.getParticipantIds = function () {
+  return [
+    ...this.attendees.map((attendee) => attendee._id || attendee),
+    ...this.waitlist.map((entry) => entry.user._id || entry.user),
+  ];
+};
+
+eventSchema.pre('validate', function (next) {
+  if (this.dateTime && !this.endTime) {
+    this.endTime = new Date(this.dateTime.getTime() + DEFAULT_DURATION_MS);
+  }
+  next();
+});
+
+// Update attendee and RSVP counts when the lists change
 eventSchema.pre('save', function (next) {
-  this.attendeeCount = this.attendees.length;
+  const seatsTaken = this.attendees.length + this.guests.length;
+  this.attendeeCount = seatsTaken;
+  const count = (status) =>
+    this.rsvps.filter((rsvp) => rsvp.status === status).length;
+  this.rsvpCounts = {
+    going: seatsTaken,
+    waitlisted: this.waitlist.length,
+    maybe: count('maybe'),
+    declined: count('declined'),
+    invited: count('invited'),
+  };
   next();
 });
 
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One tracked interaction with an event, the raw data behind the organizer
+// analytics. `user` is null for guests viewing a public event.
+const eventActivitySchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Event is required'],
+    },
+    type: {
+      type: String,
+      enum: ['view', 'join', 'leave'],
+      required: [true, 'Activity type is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+eventActivitySchema.index({ event: 1, type: 1, createdAt: 1 });
+
+// Record an activity without holding up or failing the request that caused
+// it; a lost data point is better than a failed join
+eventActivitySchema.statics.track = function (eventId, type, userId = null) {
+  return this.create({ event: eventId, type, user: userId }).catch((error) =>
+    console.error('Track activity error:', error)
+  );
+};
+
+export default mongoose.model('EventActivity', eventActivitySchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// How long sent mail is kept (30 days)
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// A rendered email waiting to be sent by jobs/mailQueue.js. Failed sends are
+// retried with a growing delay until `attempts` runs out.
+const mailJobSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+    },
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+    },
+    text: {
+      type: String,
+      required: [true, 'Text body is required'],
+    },
+    html: {
+      type: String,
+      default: '',
+    },
+    // Template the message was rendered from, kept for troubleshooting
+    template: {
+      type: String,
+      required: [true, 'Template is required'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Earliest time of the next attempt
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When a worker picked the job up, to recover jobs of a crashed worker
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: '',
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mailJobSchema.index({ status: 1, runAt: 1 });
+// Sent mail is only kept for troubleshooting. Pending and failed jobs have
+// no sentAt, so they are not expired.
+mailJobSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_SECONDS }
+);
+
+export default mongoose.model('MailJob', mailJobSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// What a notification is about. Participants hear about changes to events
+// they joined, organizers about people joining and leaving.
+export const NOTIFICATION_TYPES = [
+  'event_updated',
+  'event_cancelled',
+  'event_deleted',
+  'attendee_joined',
+  'attendee_left',
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Recipient is required'],
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: [true, 'Notification type is required'],
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      default: null,
+    },
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      trim: true,
+      maxlength: [1000, 'Message must not exceed 1000 characters'],
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+
+// Send the same notification to several users at once
+notificationSchema.statics.notifyUsers = function (userIds, notification) {
+  if (userIds.length === 0) return Promise.resolve([]);
+
+  return this.insertMany(
+    userIds.map((userId) => ({ ...notification, user: userId }))
+  );
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import Event from './Event.js';
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// An attendee's rating and review of a completed event, with their answers
+// to the event's feedback survey. One per user and event.
+const reviewSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Event is required'],
+    },
+    // Copied from the event so organizer profiles can aggregate without
+    // joining through events
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Organizer is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reviewer is required'],
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [MIN_RATING, `Rating must be at least ${MIN_RATING}`],
+      max: [MAX_RATING, `Rating must not exceed ${MAX_RATING}`],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review must not exceed 2000 characters'],
+      default: '',
+    },
+    // Survey answers, keyed by feedback question id like registration
+    // answers on the event
+    answers: [
+      {
+        _id: false,
+        question: mongoose.Schema.Types.ObjectId,
+        value: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Hidden by the organizer; hidden reviews are left out of listings and
+    // scores but still shown to their author
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewSchema.index({ event: 1, user: 1 }, { unique: true });
+reviewSchema.index({ event: 1, hidden: 1, createdAt: -1 });
+reviewSchema.index({ organizer: 1, hidden: 1 });
+
+// Average rating and count of visible reviews matching `match`
+reviewSchema.statics.summarize = async function (match) {
+  const [summary] = await this.aggregate([
+    { $match: { ...match, hidden: false } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary?.count || 0,
+  };
+};
+
+// Recompute the rating stored on the event after a review changes
+reviewSchema.statics.refreshEventRating = async function (eventId) {
+  const rating = await this.summarize({
+    event: new mongoose.Types.ObjectId(String(eventId)),
+  });
+  await Event.updateOne({ _id: eventId }, { $set: { rating } });
+  return rating;
+};
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import process from 'process';
+
+// How long a session lasts without being refreshed
+const getRefreshTokenTtlMs = () =>
+  (Number(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// A replaced refresh token used within this long of its rotation is taken
+// for a request that raced the rotation (e.g. another tab) rather than theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+// A signed-in device. Access tokens name their session, so deleting it logs
+// the device out on its next request. The refresh token is rotated on every
+// use and only its hash is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // The token replaced by the latest rotation. Seeing it again means it
+    // was copied, so the session is ended.
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a session for a login from `req`. Resolves with the session and its
+// first refresh token.
+sessionSchema.statics.start = async function (userId, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one, extending the session. Resolves with
+// { session, refreshToken }, or null when the token is unknown, expired or
+// was already used (which also ends its session, past a short grace).
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const next = generateRefreshToken();
+
+  // Conditional on the current hash, so two refreshes racing with the same
+  // token can't both win
+  const session = await this.findOneAndUpdate(
+    { tokenHash: hash, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(next),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        ip: req.ip || '',
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs()),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await this.deleteOne({
+      previousTokenHash: hash,
+      rotatedAt: { $lte: new Date(now.getTime() - REUSE_GRACE_MS) },
+    });
+    return null;
+  }
+  return { session, refreshToken: next };
+};
+
+// End the session a refresh token belongs to, if any
+sessionSchema.statics.endByToken = function (refreshToken) {
+  return this.deleteOne({ tokenHash: hashToken(refreshToken) });
+};
+
+// The unexpired session with `id`, or null. Records the activity.
+sessionSchema.statics.findActive = async function (id) {
+  const now = new Date();
+  const session = mongoose.isValidObjectId(id)
+    ? await this.findOne({ _id: id, expiresAt: { $gt: now } })
+    : null;
+
+  if (session && now - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+    await this.updateOne({ _id: session._id }, { $set: { lastSeenAt: now } });
+  }
+  return session;
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,7 +1,15 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import process from 'process';
 
+// Kinds of email a user can turn off
+export const EMAIL_PREFERENCES = [
+  'joinConfirmations',
+  'eventChanges',
+  'reminders',
+];
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -27,6 +35,15 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters long'],
     },
+    // Set once the user follows the link in the verification email
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
     photoURL: {
       type: String,
       default: '',
@@ -49,6 +66,19 @@ const userSchema = new mongoose.Schema(
         ref: 'Event',
       },
     ],
+    // Which emails the user wants; everything is on until turned off
+    emailPreferences: {
+      joinConfirmations: { type: Boolean, default: true },
+      eventChanges: { type: Boolean, default: true },
+      reminders: { type: Boolean, default: true },
+    },
+    // Secret for the personal iCalendar feed URL
+    calendarToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -73,10 +103,17 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue a new calendar feed token, invalidating any previous feed URL
+userSchema.methods.generateCalendarToken = function () {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 // Transform JSON output to exclude password
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.calendarToken;
   return userObject;
 };
 
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// How long each kind of token from an emailed link stays valid
+export const USER_TOKEN_LIFETIMES = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000,
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use secret sent by email to prove the user controls the address.
+// Only its hash is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    type: {
+      type: String,
+      enum: Object.keys(USER_TOKEN_LIFETIMES),
+      required: [true, 'Token type is required'],
+    },
+    hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a token of `type` for `userId`, replacing any earlier one so only
+// the latest email works. Resolves with the token to put in the link.
+userTokenSchema.statics.issue = async function (userId, type) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, type });
+  await this.create({
+    user: userId,
+    type,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + USER_TOKEN_LIFETIMES[type]),
+  });
+  return token;
+};
+
+// Use up a token. Resolves with the id of its user, or null when the token
+// is unknown, expired or already used.
+userTokenSchema.statics.consume = async function (token, type) {
+  const userToken = await this.findOneAndDelete({
+    hash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() },
+  });
+  return userToken ? userToken.user : null;
+};
+
+export default mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// What an organizer's webhook can subscribe to, all about their own events
+export const WEBHOOK_EVENTS = [
+  'event.created',
+  'event.updated',
+  'event.cancelled',
+  'attendee.joined',
+  'attendee.left',
+];
+
+// Signing secrets are random and only shown when created or rotated
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner is required'],
+    },
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      maxlength: [2000, 'URL must not exceed 2000 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description must not exceed 200 characters'],
+      default: '',
+    },
+    secret: {
+      type: String,
+      default: generateWebhookSecret,
+      select: false,
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe to at least one event',
+      },
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ owner: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
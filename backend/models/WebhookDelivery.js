@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from './Webhook.js';
+
+// How long the delivery log is kept
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One payload for one webhook, sent by jobs/webhookQueue.js. Doubles as the
+// delivery log the organizer sees: failed sends are retried with a growing
+// delay and every attempt updates the response fields.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: [true, 'Webhook is required'],
+    },
+    // "ping" is only sent on request, to test an endpoint
+    event: {
+      type: String,
+      enum: [...WEBHOOK_EVENTS, 'ping'],
+      required: [true, 'Event type is required'],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Payload is required'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Earliest time of the next attempt
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When a worker picked the delivery up, to recover ones of a crashed
+    // worker
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    // Outcome of the latest attempt
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    // Bytes in the response body; the body itself is not kept
+    responseSize: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: '',
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, runAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_SECONDS }
+);
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,254 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Event from '../models/Event.js';
+import EventActivity from '../models/EventActivity.js';
+import auth, { allowApiKey } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// API keys with the events:read scope may read analytics
+const readAuth = [auth, allowApiKey('events:read')];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+const EVENT_FIELDS =
+  'title category dateTime status attendees attendeeCount maxAttendees checkIns';
+
+const ACTIVITY_TYPES = EventActivity.schema.path('type').enumValues;
+
+// Length of the timeline in days, from ?days= (1 to MAX_DAYS)
+const getDays = (value) =>
+  Math.min(MAX_DAYS, Math.max(1, Number.parseInt(value, 10) || DEFAULT_DAYS));
+
+// Share of `part` in `total`, or null when there is nothing to compare
+const rate = (part, total) => (total > 0 ? part / total : null);
+
+const emptyActivity = () => ({
+  views: 0,
+  joins: 0,
+  leaves: 0,
+  uniqueViewers: 0,
+  converted: 0,
+});
+
+// Views, joins and leaves per event. A view converted when the same user
+// later joined; guests count once per view since they can't be told apart.
+const countActivity = async (eventIds) => {
+  const groups = await EventActivity.aggregate([
+    { $match: { event: { $in: eventIds } } },
+    {
+      $group: {
+        _id: { event: '$event', type: '$type' },
+        count: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        guestCount: { $sum: { $cond: [{ $eq: ['$user', null] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const byEvent = new Map();
+  groups.forEach((group) => {
+    const id = group._id.event.toString();
+    if (!byEvent.has(id)) byEvent.set(id, { ...emptyActivity(), users: {} });
+
+    const activity = byEvent.get(id);
+    activity[`${group._id.type}s`] = group.count;
+    activity.users[group._id.type] = group.users
+      .filter(Boolean)
+      .map((user) => user.toString());
+    if (group._id.type === 'view') {
+      activity.uniqueViewers = activity.users.view.length + group.guestCount;
+    }
+  });
+
+  byEvent.forEach((activity) => {
+    const viewers = new Set(activity.users.view || []);
+    activity.converted = (activity.users.join || []).filter((user) =>
+      viewers.has(user)
+    ).length;
+    delete activity.users;
+  });
+
+  return byEvent;
+};
+
+// Daily views, joins and leaves (UTC days) over the last `days` days,
+// oldest first, with empty days filled in
+const buildTimeline = async (eventIds, days) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const groups = await EventActivity.aggregate([
+    { $match: { event: { $in: eventIds }, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          type: '$type',
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const timeline = Array.from({ length: days }, (value, index) => ({
+    date: new Date(since.getTime() + index * DAY_MS).toISOString().slice(0, 10),
+    ...Object.fromEntries(ACTIVITY_TYPES.map((type) => [`${type}s`, 0])),
+  }));
+  const byDate = new Map(timeline.map((entry) => [entry.date, entry]));
+
+  groups.forEach((group) => {
+    const entry = byDate.get(group._id.day);
+    if (entry) entry[`${group._id.type}s`] = group.count;
+  });
+
+  return timeline;
+};
+
+// Activity and attendance figures for one event. The no-show rate is only
+// known once the event is over.
+const summarizeEvent = (event, activity = emptyActivity()) => {
+  const attendees = event.attendees.length;
+  const checkedIn = event.checkIns.length;
+  const ended = event.status === 'completed';
+
+  return {
+    _id: event._id,
+    title: event.title,
+    category: event.category,
+    dateTime: event.dateTime,
+    status: event.status,
+    ...activity,
+    conversionRate: rate(activity.converted, activity.uniqueViewers),
+    attendeeCount: event.attendeeCount,
+    maxAttendees: event.maxAttendees,
+    fillRate: rate(event.attendeeCount, event.maxAttendees),
+    checkedIn,
+    noShows: ended ? attendees - checkedIn : null,
+    noShowRate: ended ? rate(attendees - checkedIn, attendees) : null,
+  };
+};
+
+// Sums over several event summaries. Fill rate is weighted by capacity and
+// leaves out cancelled and unlimited events.
+const totalSummaries = (summaries) => {
+  const sum = (key, list = summaries) =>
+    list.reduce((total, summary) => total + (summary[key] || 0), 0);
+  const capped = summaries.filter(
+    (summary) => summary.maxAttendees && summary.status !== 'cancelled'
+  );
+  const ended = summaries.filter((summary) => summary.noShows !== null);
+  const endedAttendees = ended.reduce(
+    (total, summary) => total + summary.checkedIn + summary.noShows,
+    0
+  );
+
+  return {
+    events: summaries.length,
+    views: sum('views'),
+    uniqueViewers: sum('uniqueViewers'),
+    joins: sum('joins'),
+    leaves: sum('leaves'),
+    converted: sum('converted'),
+    conversionRate: rate(sum('converted'), sum('uniqueViewers')),
+    attendeeCount: sum('attendeeCount'),
+    fillRate: rate(sum('attendeeCount', capped), sum('maxAttendees', capped)),
+    noShows: sum('noShows', ended),
+    noShowRate: rate(sum('noShows', ended), endedAttendees),
+  };
+};
+
+// Analytics across all of the organizer's events
+router.get('/', readAuth, async (req, res) => {
+  try {
+    const days = getDays(req.query.days);
+    const events = await Event.find({ creator: req.user._id })
+      .select(EVENT_FIELDS)
+      .sort({ dateTime: -1 });
+    const eventIds = events.map((event) => event._id);
+
+    const [activity, timeline] = await Promise.all([
+      countActivity(eventIds),
+      buildTimeline(eventIds, days),
+    ]);
+    const summaries = events.map((event) =>
+      summarizeEvent(event, activity.get(event._id.toString()))
+    );
+
+    const byCategory = new Map();
+    summaries.forEach((summary) => {
+      if (!byCategory.has(summary.category)) {
+        byCategory.set(summary.category, []);
+      }
+      byCategory.get(summary.category).push(summary);
+    });
+    const categories = [...byCategory].map(([category, list]) => ({
+      category,
+      ...totalSummaries(list),
+    }));
+
+    res.json({
+      success: true,
+      days,
+      totals: totalSummaries(summaries),
+      categories,
+      timeline,
+      events: summaries,
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get analytics',
+      error: error.message,
+    });
+  }
+});
+
+// Analytics for one event (organizer only)
+router.get('/events/:id', readAuth, async (req, res) => {
+  try {
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await Event.findById(req.params.id).select(`${EVENT_FIELDS} creator`)
+      : null;
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found',
+      });
+    }
+
+    if (!event.isOrganizer(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the organizer can see event analytics',
+      });
+    }
+
+    const days = getDays(req.query.days);
+    const [activity, timeline] = await Promise.all([
+      countActivity([event._id]),
+      buildTimeline([event._id], days),
+    ]);
+
+    res.json({
+      success: true,
+      days,
+      event: summarizeEvent(event, activity.get(event._id.toString())),
+      timeline,
+    });
+  } catch (error) {
+    console.error('Get event analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get event analytics',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,14 +1,50 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import auth from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import auth, { allowApiKey } from '../middleware/auth.js';
+import { sendAccountMail } from '../jobs/mailQueue.js';
 import dotenv from 'dotenv';
 import process from 'process';
 dotenv.config();
 
 const router = express.Router();
 
+// Access tokens are short-lived; the session's refresh token gets new ones
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  });
+
+// Per-IP cap on requests that send account emails, on top of the global
+// IP limit
+const accountEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.ACCOUNT_EMAIL_RATE_LIMIT) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many email requests. Please try again later.',
+  },
+});
+
+// Email a fresh verification link to `user`
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email_verification');
+  await sendAccountMail(user, 'emailVerification', { token });
+};
+
+// Start a session for `user` on the requesting device
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return { token: signAccessToken(user._id, session._id), refreshToken };
+};
+
 // Register
 router.post(
   '/register',
@@ -57,21 +93,21 @@ router.post(
       });
 
       await user.save();
+      await sendVerificationEmail(user);
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      });
+      const { token, refreshToken } = await startSession(user, req);
 
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
         token,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
           photoURL: user.photoURL,
+          emailVerified: user.emailVerified,
         },
       });
     } catch (error) {
@@ -126,20 +162,19 @@ router.post(
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-      });
+      const { token, refreshToken } = await startSession(user, req);
 
       res.json({
         success: true,
         message: 'Login successful',
         token,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
           photoURL: user.photoURL,
+          emailVerified: user.emailVerified,
         },
       });
     } catch (error) {
@@ -153,8 +188,156 @@ router.post(
   }
 );
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
+// Trade a refresh token for a new access token and refresh token
+router.post('/refresh', refreshTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const result = await Session.rotate(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(result.session.user, result.session._id),
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: error.message,
+    });
+  }
+});
+
+// Log out: end the session of the refresh token. Works with an expired
+// access token, so it doesn't require one.
+router.post('/logout', refreshTokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    await Session.endByToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message,
+    });
+  }
+});
+
+// End every session of the user, this one included
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.deleteMany({ user: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Logged out everywhere',
+      revoked: result.deletedCount,
+    });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out everywhere',
+      error: error.message,
+    });
+  }
+});
+
+// The user's signed-in devices, most recently active first
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: error.message,
+    });
+  }
+});
+
+// Revoke one session; that device is logged out on its next request
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOneAndDelete({
+          _id: req.params.sessionId,
+          user: req.user._id,
+        })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message,
+    });
+  }
+});
+
 // Get current user
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, allowApiKey('events:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     res.json({
@@ -180,4 +363,184 @@ router.post('/verify', auth, (req, res) => {
   });
 });
 
+// Confirm the email address with the token from the verification email
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('Token is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = await UserToken.consume(
+        req.body.token,
+        'email_verification'
+      );
+      const user = userId
+        ? await User.findByIdAndUpdate(
+            userId,
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+          )
+        : null;
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'This verification link is invalid or has expired',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Your email address is verified',
+        user,
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify email address',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Send the verification email again, replacing the earlier link
+router.post(
+  '/resend-verification',
+  auth,
+  accountEmailLimiter,
+  async (req, res) => {
+    try {
+      if (req.user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your email address is already verified',
+        });
+      }
+
+      await sendVerificationEmail(req.user);
+
+      res.json({
+        success: true,
+        message: `We sent a new verification link to ${req.user.email}`,
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Email a password reset link. The answer is the same whether or not the
+// address has an account, so it can't be used to find out.
+router.post(
+  '/forgot-password',
+  accountEmailLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please enter a valid email'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+      if (user) {
+        const token = await UserToken.issue(user._id, 'password_reset');
+        await sendAccountMail(user, 'passwordReset', { token });
+      }
+
+      res.json({
+        success: true,
+        message:
+          'If an account exists for that email, we sent a link to reset the password',
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send password reset email',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Set a new password with the token from the reset email. Every session is
+// ended, in case the old password leaked.
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = await UserToken.consume(req.body.token, 'password_reset');
+      const user = userId ? await User.findById(userId) : null;
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'This reset link is invalid or has expired',
+        });
+      }
+
+      user.password = req.body.password;
+      // The link arrived by email, which proves the address too
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+      await Session.deleteMany({ user: user._id });
+
+      res.json({
+        success: true,
+        message: 'Your password has been reset. Please log in.',
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset password',
+        error: error.message,
+      });
+    }
+  }
+);
+
 export default router;
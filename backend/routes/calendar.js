@@ -0,0 +1,44 @@
+import express from 'express';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { buildCalendar } from '../utils/ical.js';
+
+const router = express.Router();
+
+// Personal subscribable feed of joined and created events. The token in the
+// URL is the only credential, since calendar apps cannot send auth headers.
+router.get('/feed/:token', async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+    const user = await User.findOne({ calendarToken: token });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    // Cancelled events stay in the feed so subscribers see the cancellation
+    const events = await Event.find({
+      $or: [{ creator: user._id }, { attendees: user._id }],
+    })
+      .populate('creator', 'name email')
+      .sort({ dateTime: 1 });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    });
+    res.send(buildCalendar(events, { name: `Eventify – ${user.name}` }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,353 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import { body, validationResult } from 'express-validator';
+import process from 'process';
+import Event from '../models/Event.js';
+import Comment from '../models/Comment.js';
+import auth, { allowApiKey, optionalAuth } from '../middleware/auth.js';
+
+// Mounted under /api/events/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Per-user cap on new comments and replies, on top of the global IP limit
+const commentLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.COMMENT_RATE_LIMIT) || 5,
+  keyGenerator: (req) => req.user._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'You are commenting too fast. Please wait a minute.',
+  },
+});
+
+const commentValidation = [
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+];
+
+// Load the discussed event, hiding invite-only events from people who can't
+// see them like the event routes do
+const findDiscussedEvent = async (req, res) => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await Event.findById(req.params.id).select('+invitations')
+    : null;
+
+  if (!event || !event.canAccess(req.user, req.query.invite)) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+    return null;
+  }
+
+  event.invitations = undefined;
+  return event;
+};
+
+// Load one of the event's comments, answering 404 itself when it's missing
+const findComment = async (req, res, event) => {
+  const comment = mongoose.isValidObjectId(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, event: event._id })
+    : null;
+
+  if (!comment || comment.deletedAt) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found',
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+// Pinned first, then in the given creation order
+const byPinned = (direction) => (a, b) =>
+  b.pinned - a.pinned || direction * (a.createdAt - b.createdAt);
+
+// Comment as sent to clients. Deleted comments lose their author and text;
+// organizer comments are flagged so answers stand out.
+const toThreadItem = (comment, event) => ({
+  ...comment.toJSON(),
+  user: comment.deletedAt ? null : comment.user,
+  body: comment.deletedAt ? '' : comment.body,
+  byOrganizer:
+    !comment.deletedAt &&
+    Boolean(comment.user) &&
+    event.isOrganizer(comment.user._id),
+});
+
+// Top-level comments, newest first, each with its replies oldest first
+const buildThreads = async (event) => {
+  const comments = await Comment.find({ event: event._id }).populate(
+    'user',
+    'name photoURL'
+  );
+
+  const replies = comments.filter((comment) => comment.parent);
+
+  return comments
+    .filter((comment) => !comment.parent)
+    .sort(byPinned(-1))
+    .map((comment) => ({
+      ...toThreadItem(comment, event),
+      replies: replies
+        .filter((reply) => reply.parent.equals(comment._id))
+        .sort(byPinned(1))
+        .map((reply) => toThreadItem(reply, event)),
+    }));
+};
+
+const sendThreads = async (res, event, extra = {}) =>
+  res.json({
+    success: true,
+    ...extra,
+    comments: await buildThreads(event),
+  });
+
+// Get an event's discussion
+router.get('/', optionalAuth, allowApiKey('events:read'), async (req, res) => {
+  try {
+    const event = await findDiscussedEvent(req, res);
+    if (!event) return;
+
+    await sendThreads(res, event);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get comments',
+      error: error.message,
+    });
+  }
+});
+
+// Post a comment, or a reply with `parent`
+router.post(
+  '/',
+  auth,
+  commentLimiter,
+  [
+    ...commentValidation,
+    body('parent')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid parent comment'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findDiscussedEvent(req, res);
+      if (!event) return;
+
+      if (event.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'This event has been cancelled',
+        });
+      }
+
+      let parent = null;
+      if (req.body.parent) {
+        parent = await Comment.findOne({
+          _id: req.body.parent,
+          event: event._id,
+        });
+
+        if (!parent || parent.deletedAt) {
+          return res.status(404).json({
+            success: false,
+            message: 'Comment not found',
+          });
+        }
+      }
+
+      await Comment.create({
+        event: event._id,
+        user: req.user._id,
+        // Replying to a reply continues the same thread
+        parent: parent ? parent.parent || parent._id : null,
+        body: req.body.body,
+      });
+
+      res.status(201);
+      await sendThreads(res, event, { message: 'Comment posted' });
+    } catch (error) {
+      console.error('Post comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to post comment',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Edit your own comment
+router.put('/:commentId', auth, commentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const event = await findDiscussedEvent(req, res);
+    if (!event) return;
+
+    const comment = await findComment(req, res, event);
+    if (!comment) return;
+
+    if (!comment.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments',
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await sendThreads(res, event, { message: 'Comment updated' });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message,
+    });
+  }
+});
+
+// Delete a comment. Authors delete their own; the organizer can delete any
+// comment on the event.
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const event = await findDiscussedEvent(req, res);
+    if (!event) return;
+
+    const comment = await findComment(req, res, event);
+    if (!comment) return;
+
+    if (
+      !comment.user.equals(req.user._id) &&
+      !event.isOrganizer(req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments',
+      });
+    }
+
+    const hasReplies =
+      !comment.parent && (await Comment.exists({ parent: comment._id }));
+
+    if (hasReplies) {
+      comment.body = '';
+      comment.pinned = false;
+      comment.deletedAt = new Date();
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+
+      // A deleted thread goes away with its last reply
+      if (comment.parent) {
+        const parent = await Comment.findById(comment.parent);
+        if (
+          parent?.deletedAt &&
+          !(await Comment.exists({ parent: parent._id }))
+        ) {
+          await parent.deleteOne();
+        }
+      }
+    }
+
+    await sendThreads(res, event, { message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message,
+    });
+  }
+});
+
+// Pin or unpin a comment (organizer only). A thread has at most one pinned
+// reply, its answer.
+router.patch(
+  '/:commentId/pin',
+  auth,
+  [
+    body('pinned')
+      .isBoolean()
+      .withMessage('Pinned must be true or false')
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findDiscussedEvent(req, res);
+      if (!event) return;
+
+      if (!event.isOrganizer(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the organizer can pin comments',
+        });
+      }
+
+      const comment = await findComment(req, res, event);
+      if (!comment) return;
+
+      if (req.body.pinned && comment.parent) {
+        await Comment.updateMany(
+          { parent: comment.parent, _id: { $ne: comment._id } },
+          { $set: { pinned: false } }
+        );
+      }
+
+      comment.pinned = req.body.pinned;
+      await comment.save();
+
+      await sendThreads(res, event, {
+        message: comment.pinned ? 'Comment pinned' : 'Comment unpinned',
+      });
+    } catch (error) {
+      console.error('Pin comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to pin comment',
+        error: error.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,24 +1,127 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Event from '../models/Event.js';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { body, param, validationResult } from 'express-validator';
+import Event, {
+  DEFAULT_DURATION_MS,
+  LISTED_EVENTS,
+  MAX_GUESTS_PER_ATTENDEE,
+} from '../models/Event.js';
 import User from '../models/User.js';
-import auth from '../middleware/auth.js';
+import Notification from '../models/Notification.js';
+import EventActivity from '../models/EventActivity.js';
+import Review from '../models/Review.js';
+import Comment from '../models/Comment.js';
+import auth, {
+  allowApiKey,
+  optionalAuth,
+  requireVerifiedEmail,
+} from '../middleware/auth.js';
+import reviewRoutes from './reviews.js';
+import commentRoutes from './comments.js';
+import {
+  buildCalendar,
+  getCalendarFileName,
+  parseCalendar,
+} from '../utils/ical.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import {
+  buildSeriesUpdates,
+  expandRecurrence,
+  MAX_OCCURRENCES,
+  RECURRENCE_FREQUENCIES,
+} from '../utils/recurrence.js';
+import { getWallDate, isValidTimeZone } from '../utils/timezone.js';
+import { getEventUrl } from '../utils/urls.js';
+import { broadcast, toLiveEvent } from '../utils/realtime.js';
+import {
+  buildAnswerValidation,
+  buildQuestionValidation,
+  getAnswers,
+} from '../utils/questions.js';
+import { updateEventStatuses } from '../jobs/eventStatus.js';
+import { queueMail } from '../jobs/mailQueue.js';
+import { queueWebhooks } from '../jobs/webhookQueue.js';
+import { toWebhookAttendee, toWebhookEvent } from '../utils/webhooks.js';
+import {
+  getTicketCode,
+  normalizeTicketCode,
+  signTicket,
+  verifyTicket,
+} from '../utils/tickets.js';
 
 const router = express.Router();
 
-// Get all events with search and filter
-router.get('/', async (req, res) => {
+// Authentication for the routes API keys may use, by the scope they need
+const readAuth = [auth, allowApiKey('events:read')];
+const optionalReadAuth = [optionalAuth, allowApiKey('events:read')];
+const manageAuth = [auth, allowApiKey('events:manage')];
+const attendeeAuth = [auth, allowApiKey('attendees:manage')];
+
+// Creating events can be limited to verified accounts
+const createAuth = [...manageAuth, requireVerifiedEmail];
+
+const EVENT_STATUSES = Event.schema.path('status').enumValues;
+const VISIBILITIES = Event.schema.path('visibility').enumValues;
+
+// Invite-only events are only found by people allowed in. Everyone else
+// gets a 404 so the event's existence is not revealed. Invitations are
+// loaded for the check; clear them before sending the event out.
+const findAccessibleEvent = async (req, token) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const event = await Event.findById(req.params.id).select('+invitations');
+  if (!event || !event.canAccess(req.user, token)) return null;
+
+  return event;
+};
+
+// Longest event accepted through `duration`, in minutes (one week)
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+// End of an event from an explicit endTime or a duration in minutes
+const getEndTime = (start, { endTime, duration }) => {
+  if (endTime) return new Date(endTime);
+  const durationMs = duration
+    ? Number(duration) * 60 * 1000
+    : DEFAULT_DURATION_MS;
+  return new Date(start.getTime() + durationMs);
+};
+
+// Run a follow-up (notifications, mail) of a change that is already saved.
+// Its failure is only logged: the response must still report the change,
+// or the client would retry something that went through.
+const afterSave = async (label, task) => {
+  try {
+    await task();
+  } catch (error) {
+    console.error(`${label} error:`, error);
+  }
+};
+
+// Get all events with search and filter (public)
+router.get('/', optionalReadAuth, async (req, res) => {
   try {
     const {
       search,
       dateFilter,
       startDate,
       endDate,
+      status,
       page = 1,
       limit = 10,
     } = req.query;
 
-    let query = {};
+    // Unlisted and invite-only events never show up in listings or search
+    let query = { ...LISTED_EVENTS };
+
+    // Status filter, e.g. status=upcoming,ongoing
+    if (status) {
+      const statuses = String(status)
+        .split(',')
+        .filter((value) => EVENT_STATUSES.includes(value));
+      query.status = { $in: statuses };
+    }
 
     // Search by title
     if (search) {
@@ -111,7 +214,7 @@ router.get('/', async (req, res) => {
     }
 
     const events = await Event.find(query)
-      .populate('creator', 'name email photoURL')
+      .populate('creator', 'name photoURL')
       .sort({ dateTime: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -120,7 +223,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      events,
+      events: events.map((event) => event.toViewerJSON(req.user?._id)),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -137,12 +240,12 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get event by ID
-router.get('/:id', async (req, res) => {
+// Get event by ID. Public, so people are shown by name and photo only and
+// the private lists go to the organizer alone. Invite-only events also
+// accept an ?invite= token.
+router.get('/:id', optionalReadAuth, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('creator', 'name email photoURL')
-      .populate('attendees', 'name email photoURL');
+    const event = await findAccessibleEvent(req, req.query.invite);
 
     if (!event) {
       return res.status(404).json({
@@ -151,9 +254,21 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Organizers looking at their own event are not counted
+    if (!req.user || !event.isOrganizer(req.user._id)) {
+      EventActivity.track(event._id, 'view', req.user?._id);
+    }
+
+    event.invitations = undefined;
+    await event.populate([
+      { path: 'creator', select: 'name photoURL' },
+      { path: 'attendees', select: 'name photoURL' },
+      { path: 'waitlist.user', select: 'name photoURL' },
+    ]);
+
     res.json({
       success: true,
-      event,
+      event: event.toViewerJSON(req.user?._id),
     });
   } catch (error) {
     console.error('Get event error:', error);
@@ -165,38 +280,326 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Download event as an iCalendar file
+router.get('/:id/ics', optionalReadAuth, async (req, res) => {
+  try {
+    const event = await findAccessibleEvent(req, req.query.invite);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found',
+      });
+    }
+
+    await event.populate('creator', 'name email');
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${getCalendarFileName(event)}"`,
+    });
+    res.send(buildCalendar([event]));
+  } catch (error) {
+    console.error('Export event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export event',
+      error: error.message,
+    });
+  }
+});
+
+// Rules shared by event creation and bulk import
+const createEventValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+  body('location')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Location must be between 3 and 200 characters'),
+  body('dateTime')
+    .isISO8601()
+    .withMessage('Please enter a valid date and time')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Event date must be in the future');
+      }
+      return true;
+    }),
+  body('endTime')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please enter a valid end time')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.dateTime)) {
+        throw new Error('End time must be after the start time');
+      }
+      return true;
+    }),
+  body('duration')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: MAX_DURATION_MINUTES })
+    .withMessage(
+      `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`
+    ),
+  body('category')
+    .optional()
+    .isIn(['conference', 'workshop', 'meetup', 'webinar', 'social', 'other'])
+    .withMessage(
+      'Invalid category. Must be one of: conference, workshop, meetup, webinar, social, other'
+    ),
+  body('maxAttendees')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Maximum attendees must be a whole number of at least 1'),
+  body('maxGuestsPerAttendee')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: MAX_GUESTS_PER_ATTENDEE })
+    .withMessage(
+      `Guests per attendee must be between 0 and ${MAX_GUESTS_PER_ATTENDEE}`
+    ),
+  body('visibility')
+    .optional()
+    .isIn(VISIBILITIES)
+    .withMessage('Visibility must be one of: public, unlisted, invite-only'),
+  ...buildQuestionValidation('registrationQuestions'),
+  ...buildQuestionValidation('feedbackQuestions'),
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Recurrence must be an object')
+    .custom((value) => {
+      if (!value.until && !value.count) {
+        throw new Error('Recurring events need an end date or a count');
+      }
+      return true;
+    }),
+  body('recurrence.frequency')
+    .if(body('recurrence').exists({ values: 'null' }))
+    .isIn(RECURRENCE_FREQUENCIES)
+    .withMessage('Frequency must be one of: daily, weekly, monthly'),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 99 })
+    .withMessage('Interval must be between 1 and 99'),
+  body('recurrence.until')
+    .optional({ values: 'null' })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('End date must be a YYYY-MM-DD date'),
+  body('recurrence.count')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: MAX_OCCURRENCES })
+    .withMessage(`Occurrence count must be between 1 and ${MAX_OCCURRENCES}`),
+  body('recurrence.exceptions')
+    .optional()
+    .isArray()
+    .withMessage('Exceptions must be a list of dates'),
+  body('recurrence.exceptions.*')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Exceptions must be YYYY-MM-DD dates'),
+  body('recurrence.timeZone')
+    .optional()
+    .custom((value) => isValidTimeZone(value))
+    .withMessage('Unknown time zone'),
+];
+
 // Create new event
+router.post('/', createAuth, createEventValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      title,
+      description,
+      location,
+      dateTime,
+      category,
+      maxAttendees,
+      maxGuestsPerAttendee,
+      visibility,
+      registrationQuestions,
+      feedbackQuestions,
+      recurrence,
+    } = req.body;
+
+    const start = new Date(dateTime);
+    const end = getEndTime(start, req.body);
+
+    const fields = {
+      title,
+      description,
+      location,
+      creator: req.user._id,
+      creatorName: req.user.name,
+      category: category || 'other', // Ensure category is set
+      maxAttendees: maxAttendees || null,
+      maxGuestsPerAttendee: Number(maxGuestsPerAttendee) || 0,
+      visibility: visibility || 'public',
+      registrationQuestions: registrationQuestions || [],
+      feedbackQuestions: feedbackQuestions || [],
+    };
+
+    let events;
+
+    if (recurrence) {
+      const rule = {
+        frequency: recurrence.frequency,
+        interval: Number(recurrence.interval) || 1,
+        until: recurrence.until || null,
+        count: recurrence.count ? Number(recurrence.count) : null,
+        exceptions: recurrence.exceptions || [],
+        timeZone: recurrence.timeZone || 'UTC',
+      };
+      const dates = expandRecurrence(start, rule);
+
+      if (dates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The recurrence rule does not produce any occurrences',
+        });
+      }
+
+      // Every occurrence is a regular event, so date filters, joins and
+      // tickets work per occurrence
+      const seriesId = new mongoose.Types.ObjectId();
+      events = await Event.insertMany(
+        dates.map((date) => ({
+          ...fields,
+          dateTime: date,
+          endTime: new Date(date.getTime() + (end - start)),
+          seriesId,
+          recurrence: rule,
+        }))
+      );
+    } else {
+      events = [
+        await new Event({
+          ...fields,
+          dateTime: start,
+          endTime: end,
+        }).save(),
+      ];
+    }
+
+    // Add events to user's created events
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { createdEvents: { $each: events.map((event) => event._id) } },
+    });
+
+    for (const event of events) {
+      await queueWebhooks(req.user._id, 'event.created', {
+        event: toWebhookEvent(event),
+      });
+    }
+
+    const populatedEvent = await Event.findById(events[0]._id).populate(
+      'creator',
+      'name email photoURL'
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        events.length > 1
+          ? `Recurring event created with ${events.length} occurrences`
+          : 'Event created successfully',
+      event: populatedEvent,
+      occurrences: events.length,
+    });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create event',
+      error: error.message,
+    });
+  }
+});
+
+const MAX_IMPORT_ROWS = 500;
+
+// CSV headers accepted for each Event field, compared lowercased with
+// spaces, dashes and underscores removed
+const CSV_COLUMNS = {
+  title: ['title', 'name', 'summary', 'subject'],
+  description: ['description', 'details', 'notes'],
+  location: ['location', 'venue', 'where'],
+  dateTime: ['datetime', 'date', 'start', 'startdate', 'starttime', 'when'],
+  endTime: ['endtime', 'end', 'enddate', 'finish'],
+  duration: ['duration', 'minutes', 'length'],
+  category: ['category', 'type'],
+  maxAttendees: ['maxattendees', 'capacity', 'seats'],
+};
+
+const mapCsvRow = (row) => {
+  const byKey = Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [
+      key.toLowerCase().replace(/[\s_-]/g, ''),
+      value,
+    ])
+  );
+  const mapped = {};
+
+  Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+    const alias = aliases.find((name) => byKey[name]);
+    if (alias) mapped[field] = byKey[alias];
+  });
+
+  // Accept any date format Date understands, validated as ISO below
+  ['dateTime', 'endTime'].forEach((field) => {
+    if (mapped[field] && !Number.isNaN(Date.parse(mapped[field]))) {
+      mapped[field] = new Date(mapped[field]).toISOString();
+    }
+  });
+  if (mapped.category) mapped.category = mapped.category.toLowerCase();
+
+  return mapped;
+};
+
+// Run the creation rules against a single imported row
+const validateImportRow = async (data) => {
+  const rowReq = { body: { ...data } };
+  await Promise.all(
+    createEventValidation.map((validation) => validation.run(rowReq))
+  );
+  const errors = validationResult(rowReq);
+
+  return {
+    data: rowReq.body,
+    errors: errors.array().map((error) => ({
+      field: error.path,
+      message: error.msg,
+    })),
+  };
+};
+
+// Import events from an iCalendar or CSV file. With dryRun the rows are only
+// validated so the client can show a preview.
 router.post(
-  '/',
-  auth,
+  '/import',
+  createAuth,
   [
-    body('title')
-      .trim()
-      .isLength({ min: 3, max: 100 })
-      .withMessage('Title must be between 3 and 100 characters'),
-    body('description')
-      .trim()
-      .isLength({ min: 10, max: 1000 })
-      .withMessage('Description must be between 10 and 1000 characters'),
-    body('location')
-      .trim()
-      .isLength({ min: 3, max: 200 })
-      .withMessage('Location must be between 3 and 200 characters'),
-    body('dateTime')
-      .isISO8601()
-      .withMessage('Please enter a valid date and time')
-      .custom((value) => {
-        if (new Date(value) <= new Date()) {
-          throw new Error('Event date must be in the future');
-        }
-        return true;
-      }),
-    body('category')
-      .optional()
-      .isIn(['conference', 'workshop', 'meetup', 'webinar', 'social', 'other'])
-      .withMessage(
-        'Invalid category. Must be one of: conference, workshop, meetup, webinar, social, other'
-      ),
+    body('format')
+      .isIn(['ics', 'csv'])
+      .withMessage('Format must be either ics or csv'),
+    body('content')
+      .isString()
+      .notEmpty()
+      .withMessage('File content is required'),
+    body('dryRun').optional().isBoolean(),
   ],
   async (req, res) => {
     try {
@@ -209,50 +612,128 @@ router.post(
         });
       }
 
-      const { title, description, location, dateTime, category } = req.body;
+      const { format, content, dryRun = true } = req.body;
 
-      const event = new Event({
-        title,
-        description,
-        location,
-        dateTime: new Date(dateTime),
-        creator: req.user._id,
-        creatorName: req.user.name,
-        category: category || 'other', // Ensure category is set
-      });
+      let records;
+      try {
+        records =
+          format === 'ics'
+            ? parseCalendar(content)
+            : parseCsv(content).map(mapCsvRow);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not read the ${format.toUpperCase()} file`,
+          error: parseError.message,
+        });
+      }
+
+      if (records.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No events found in the file',
+        });
+      }
+
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `A single import is limited to ${MAX_IMPORT_ROWS} events`,
+        });
+      }
+
+      const rows = [];
+      for (const [index, record] of records.entries()) {
+        const { data, errors: rowErrors } = await validateImportRow(record);
+        rows.push({
+          row: index + 1,
+          data,
+          valid: rowErrors.length === 0,
+          errors: rowErrors,
+        });
+      }
+
+      const validRows = rows.filter((row) => row.valid);
+      const summary = {
+        total: rows.length,
+        valid: validRows.length,
+        invalid: rows.length - validRows.length,
+      };
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          message: 'Import preview generated',
+          dryRun: true,
+          summary,
+          rows,
+        });
+      }
 
-      await event.save();
+      const created = await Event.insertMany(
+        validRows.map(({ data }) => ({
+          title: data.title,
+          description: data.description,
+          location: data.location,
+          dateTime: new Date(data.dateTime),
+          endTime: getEndTime(new Date(data.dateTime), data),
+          creator: req.user._id,
+          creatorName: req.user.name,
+          category: data.category || 'other',
+          maxAttendees: data.maxAttendees ? Number(data.maxAttendees) : null,
+        }))
+      );
 
-      // Add event to user's created events
+      // Add events to user's created events
       await User.findByIdAndUpdate(req.user._id, {
-        $push: { createdEvents: event._id },
+        $push: { createdEvents: { $each: created.map((event) => event._id) } },
       });
 
-      const populatedEvent = await Event.findById(event._id).populate(
-        'creator',
-        'name email photoURL'
-      );
+      for (const event of created) {
+        await queueWebhooks(req.user._id, 'event.created', {
+          event: toWebhookEvent(event),
+        });
+      }
 
       res.status(201).json({
         success: true,
-        message: 'Event created successfully',
-        event: populatedEvent,
+        message: `Imported ${created.length} event${created.length === 1 ? '' : 's'}`,
+        dryRun: false,
+        summary: { ...summary, created: created.length },
+        rows,
       });
     } catch (error) {
-      console.error('Create event error:', error);
+      console.error('Import events error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create event',
+        message: 'Failed to import events',
         error: error.message,
       });
     }
   }
 );
 
+// What participants need to hear about an edit: a new time or place
+const describeChanges = (before, after) => {
+  const changes = [];
+  if (
+    before.dateTime.getTime() !== after.dateTime.getTime() ||
+    before.endTime?.getTime() !== after.endTime?.getTime()
+  ) {
+    changes.push('has a new time');
+  }
+  if (before.location !== after.location) {
+    changes.push(`has moved to ${after.location}`);
+  }
+  return changes.length > 0
+    ? `"${after.title}" ${changes.join(' and ')}`
+    : null;
+};
+
 // Update event
 router.put(
   '/:id',
-  auth,
+  manageAuth,
   [
     body('title')
       .optional()
@@ -279,6 +760,32 @@ router.put(
         }
         return true;
       }),
+    body('endTime')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Please enter a valid end time'),
+    body('duration')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1, max: MAX_DURATION_MINUTES })
+      .withMessage(
+        `Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`
+      ),
+    body('maxAttendees')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Maximum attendees must be a whole number of at least 1'),
+    body('maxGuestsPerAttendee')
+      .optional()
+      .isInt({ min: 0, max: MAX_GUESTS_PER_ATTENDEE })
+      .withMessage(
+        `Guests per attendee must be between 0 and ${MAX_GUESTS_PER_ATTENDEE}`
+      ),
+    body('visibility')
+      .optional()
+      .isIn(VISIBILITIES)
+      .withMessage('Visibility must be one of: public, unlisted, invite-only'),
+    ...buildQuestionValidation('registrationQuestions'),
+    ...buildQuestionValidation('feedbackQuestions'),
   ],
   async (req, res) => {
     try {
@@ -308,21 +815,174 @@ router.put(
         });
       }
 
+      if (event.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cancelled events cannot be edited',
+        });
+      }
+
       const updates = req.body;
       if (updates.dateTime) {
         updates.dateTime = new Date(updates.dateTime);
       }
 
-      const updatedEvent = await Event.findByIdAndUpdate(
-        req.params.id,
-        updates,
-        { new: true, runValidators: true }
-      ).populate('creator', 'name email photoURL');
+      // Ownership can't change through an edit
+      delete updates.creator;
+      delete updates.creatorName;
+
+      // Attendee lists and bookkeeping fields are managed by the server
+      delete updates.attendees;
+      delete updates.attendeeCount;
+      delete updates.waitlist;
+      delete updates.guests;
+      delete updates.checkIns;
+      delete updates.rsvps;
+      delete updates.rsvpCounts;
+      delete updates.registrations;
+      delete updates.rating;
+      delete updates.invitations;
+      delete updates.sequence;
+      delete updates.remindersSent;
+      delete updates.seriesId;
+      delete updates.recurrence;
+      delete updates.status;
+      delete updates.cancelledAt;
+      delete updates.cancellationReason;
+
+      // A new start keeps the event's length unless a new end time or
+      // duration comes with it
+      const timingChanged = Boolean(
+        updates.dateTime || updates.endTime || updates.duration
+      );
+      const start = updates.dateTime || event.dateTime;
+      const durationMs =
+        updates.endTime || updates.duration
+          ? getEndTime(start, updates) - start
+          : (event.endTime || getEndTime(event.dateTime, {})) - event.dateTime;
+      delete updates.endTime;
+      delete updates.duration;
+
+      if (durationMs <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after the start time',
+        });
+      }
+
+      // Series edits apply to this occurrence or to it and every later one
+      const targets =
+        req.query.scope === 'future' && event.seriesId
+          ? await Event.find({
+              seriesId: event.seriesId,
+              dateTime: { $gte: event.dateTime },
+              status: { $ne: 'cancelled' },
+            })
+          : [event];
+
+      // Guests hold seats too
+      const mostAttendees = Math.max(
+        ...targets.map(
+          (target) => target.attendees.length + target.guests.length
+        )
+      );
+      if (
+        updates.maxAttendees !== undefined &&
+        updates.maxAttendees !== null &&
+        updates.maxAttendees < mostAttendees
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum attendees cannot be lower than the current ${mostAttendees} attendees`,
+        });
+      }
+
+      if (targets.length === 1) {
+        await Event.findByIdAndUpdate(
+          req.params.id,
+          {
+            ...updates,
+            ...(timingChanged && {
+              endTime: new Date(start.getTime() + durationMs),
+            }),
+            $inc: { sequence: 1 },
+          },
+          { runValidators: true }
+        );
+      } else {
+        await Event.bulkWrite(
+          buildSeriesUpdates(event, targets, updates, {
+            timingChanged,
+            durationMs,
+          })
+        );
+      }
+
+      // Rescheduling can move an event back to upcoming or straight to ongoing
+      if (timingChanged) {
+        await updateEventStatuses({
+          _id: { $in: targets.map((target) => target._id) },
+        });
+      }
+
+      // A raised capacity frees seats for people on the waitlist
+      for (const target of targets) {
+        await Event.promoteWaitlisted(target._id);
+      }
+
+      // Tell participants about new times and places, in the app and by
+      // email, and the organizer's webhooks about every edit
+      const updatedTargets = await Event.find({
+        _id: { $in: targets.map((target) => target._id) },
+      });
+      for (const updated of updatedTargets) {
+        broadcast('event.updated', toLiveEvent(updated));
+        await queueWebhooks(updated.creator, 'event.updated', {
+          event: toWebhookEvent(updated),
+        });
+        const before = targets.find((target) => target._id.equals(updated._id));
+
+        // Reminders go out again for a new start time
+        if (before.dateTime.getTime() !== updated.dateTime.getTime()) {
+          await Event.updateOne(
+            { _id: updated._id },
+            { $set: { remindersSent: [] } }
+          );
+        }
+
+        const changes = describeChanges(before, updated);
+        if (changes) {
+          await afterSave('Change notification', () =>
+            Notification.notifyUsers(updated.getParticipantIds(), {
+              type: 'event_updated',
+              event: updated._id,
+              message: changes,
+            })
+          );
+          await afterSave('Change email', () =>
+            queueMail(
+              updated.getParticipantIds(),
+              'eventChanges',
+              'eventChanged',
+              { event: updated, changes }
+            )
+          );
+        }
+      }
+
+      const updatedEvent = await Event.findById(req.params.id).populate(
+        'creator',
+        'name email photoURL'
+      );
 
       res.json({
         success: true,
-        message: 'Event updated successfully',
+        message:
+          targets.length > 1
+            ? `${targets.length} occurrences updated successfully`
+            : 'Event updated successfully',
         event: updatedEvent,
+        updated: targets.length,
       });
     } catch (error) {
       console.error('Update event error:', error);
@@ -336,7 +996,7 @@ router.put(
 );
 
 // Delete event
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', manageAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -355,22 +1015,76 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
+    // Series deletes remove this occurrence or it and every later one
+    const scope =
+      req.query.scope === 'future' && event.seriesId ? 'future' : 'occurrence';
+    const targets =
+      scope === 'future'
+        ? await Event.find({
+            seriesId: event.seriesId,
+            dateTime: { $gte: event.dateTime },
+          })
+        : [event];
+    const ids = targets.map((target) => target._id);
+
+    await Event.deleteMany({ _id: { $in: ids } });
+    ids.forEach((_id) => broadcast('event.deleted', { _id }));
+
+    // Cancelled events already told their participants
+    for (const target of targets) {
+      if (target.status === 'cancelled') continue;
+      await afterSave('Deletion notification', () =>
+        Notification.notifyUsers(target.getParticipantIds(), {
+          type: 'event_deleted',
+          message: `"${target.title}" has been deleted by the organizer`,
+        })
+      );
+    }
+
+    // Reviews of deleted events no longer count towards the organizer
+    await Review.deleteMany({ event: { $in: ids } });
+    await Comment.deleteMany({ event: { $in: ids } });
 
-    // Remove event from user's created events
+    // Remove events from user's created events
     await User.findByIdAndUpdate(req.user._id, {
-      $pull: { createdEvents: req.params.id },
+      $pull: { createdEvents: { $in: ids } },
     });
 
-    // Remove event from all users' joined events
+    // Remove events from all users' joined events
     await User.updateMany(
-      { joinedEvents: req.params.id },
-      { $pull: { joinedEvents: req.params.id } }
+      { joinedEvents: { $in: ids } },
+      { $pull: { joinedEvents: { $in: ids } } }
     );
 
+    // Keep the rule on the remaining occurrences describing the series
+    if (event.seriesId) {
+      const { timeZone } = event.recurrence;
+      const update =
+        scope === 'future'
+          ? {
+              $set: {
+                'recurrence.until': getWallDate(
+                  new Date(event.dateTime.getTime() - 1),
+                  timeZone
+                ),
+                'recurrence.count': null,
+              },
+            }
+          : {
+              $addToSet: {
+                'recurrence.exceptions': getWallDate(event.dateTime, timeZone),
+              },
+            };
+      await Event.updateMany({ seriesId: event.seriesId }, update);
+    }
+
     res.json({
       success: true,
-      message: 'Event deleted successfully',
+      message:
+        ids.length > 1
+          ? `${ids.length} occurrences deleted successfully`
+          : 'Event deleted successfully',
+      deleted: ids.length,
     });
   } catch (error) {
     console.error('Delete event error:', error);
@@ -382,51 +1096,322 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Join event
-router.post('/:id/join', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
+// Cancel event, keeping it visible with the reason
+router.post(
+  '/:id/cancel',
+  manageAuth,
+  [
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('Reason must be between 3 and 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
 
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found',
-      });
-    }
+      const event = await Event.findById(req.params.id);
 
-    // Check if user already joined
-    if (event.attendees.includes(req.user._id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already joined this event',
-      });
-    }
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found',
+        });
+      }
 
-    // Check if event is full
-    if (event.maxAttendees && event.attendees.length >= event.maxAttendees) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event is full',
-      });
-    }
+      if (event.creator.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only cancel your own events',
+        });
+      }
 
-    // Add user to event attendees
-    event.attendees.push(req.user._id);
-    await event.save();
+      if (event.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Event is already cancelled',
+        });
+      }
 
-    // Add event to user's joined events
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { joinedEvents: event._id },
-    });
+      // Series cancellations cover this occurrence or it and every later one
+      const targets =
+        req.query.scope === 'future' && event.seriesId
+          ? await Event.find({
+              seriesId: event.seriesId,
+              dateTime: { $gte: event.dateTime },
+              status: { $ne: 'cancelled' },
+            })
+          : [event];
+      const ids = targets.map((target) => target._id);
+      const { reason } = req.body;
+
+      await Event.updateMany(
+        { _id: { $in: ids } },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            cancellationReason: reason,
+          },
+          $inc: { sequence: 1 },
+        }
+      );
+
+      const cancelled = await Event.find({ _id: { $in: ids } });
+      for (const target of cancelled) {
+        broadcast('event.cancelled', toLiveEvent(target));
+        await queueWebhooks(target.creator, 'event.cancelled', {
+          event: toWebhookEvent(target),
+        });
+      }
+
+      for (const target of targets) {
+        await afterSave('Cancellation notification', () =>
+          Notification.notifyUsers(target.getParticipantIds(), {
+            type: 'event_cancelled',
+            event: target._id,
+            message: `"${target.title}" has been cancelled: ${reason}`,
+          })
+        );
+      }
+
+      const cancelledEvent = await Event.findById(event._id).populate(
+        'creator',
+        'name email photoURL'
+      );
+
+      res.json({
+        success: true,
+        message:
+          ids.length > 1
+            ? `${ids.length} occurrences cancelled successfully`
+            : 'Event cancelled successfully',
+        event: cancelledEvent,
+        cancelled: ids.length,
+      });
+    } catch (error) {
+      console.error('Cancel event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel event',
+        error: error.message,
+      });
+    }
+  }
+);
+
+const CLOSED_EVENT_MESSAGES = {
+  cancelled: 'This event has been cancelled',
+  completed: 'This event has already ended',
+};
+
+// Record who used an invitation to answer an invite-only event. Returns
+// false when a link that someone else claimed in the meantime was used.
+const claimUsedInvitation = async (event, user, inviteToken) => {
+  const invitation =
+    event.visibility === 'invite-only'
+      ? event.findInvitation(user, inviteToken)
+      : null;
+
+  if (!invitation || invitation.acceptedBy) return true;
+
+  return Event.claimInvitation(event._id, invitation._id, user._id);
+};
+
+// Load an event the user is answering, responding 404/400/403 itself when it
+// can't be found, is closed or the invitation was already used
+const findRespondableEvent = async (req, res) => {
+  const { inviteToken } = req.body;
+  const event = await findAccessibleEvent(req, inviteToken);
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+    return null;
+  }
+
+  if (event.status === 'cancelled' || event.status === 'completed') {
+    res.status(400).json({
+      success: false,
+      message: CLOSED_EVENT_MESSAGES[event.status],
+    });
+    return null;
+  }
+
+  if (!(await claimUsedInvitation(event, req.user, inviteToken))) {
+    res.status(403).json({
+      success: false,
+      message: 'This invitation has already been used',
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Named guests sent with a registration or a guest list update
+const guestValidation = [
+  body('guests')
+    .optional()
+    .isArray({ max: MAX_GUESTS_PER_ATTENDEE })
+    .withMessage(`Up to ${MAX_GUESTS_PER_ATTENDEE} guests can be added`),
+  body('guests.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Guest names must be between 1 and 100 characters'),
+];
+
+// Why a guest list can't be accepted for this event, if it can't
+const getGuestsError = (event, guests) => {
+  if (guests.length > event.maxGuestsPerAttendee) {
+    return event.maxGuestsPerAttendee === 0
+      ? 'This event does not allow guests'
+      : `This event allows up to ${event.maxGuestsPerAttendee} guest(s) per attendee`;
+  }
+  if (event.maxAttendees && guests.length + 1 > event.maxAttendees) {
+    return `Your group is larger than the event capacity of ${event.maxAttendees}`;
+  }
+  return null;
+};
+
+// Let the organizer know someone else joined or left their event
+const notifyOrganizer = (event, user, type, action) =>
+  afterSave('Notify organizer', () =>
+    Notification.notifyUsers(
+      event.isOrganizer(user._id) ? [] : [event.creator],
+      {
+        type,
+        event: event._id,
+        message: `${user.name} ${action} "${event.title}"`,
+      }
+    )
+  );
+
+// Tell the organizer's webhooks someone joined or left. `event` is the
+// event after the change; its creator may be populated.
+const queueAttendeeWebhooks = (event, type, attendee) =>
+  queueWebhooks(event.creator._id, type, {
+    event: toWebhookEvent(event),
+    attendee,
+  });
+
+// Join event (or its waitlist when there aren't enough seats) with any
+// guests. Shared by the join route and RSVP "going".
+const joinEvent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const event = await findRespondableEvent(req, res);
+    if (!event) return;
+
+    const guests = req.body.guests || [];
+    const guestsError = getGuestsError(event, guests);
+    if (guestsError) {
+      return res.status(400).json({
+        success: false,
+        message: guestsError,
+      });
+    }
+
+    const questions = event.registrationQuestions;
+    await Promise.all(
+      buildAnswerValidation(questions).map((chain) => chain.run(req))
+    );
+    const answerErrors = validationResult(req);
+    if (!answerErrors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please answer the registration questions',
+        errors: answerErrors.array(),
+      });
+    }
+
+    const result = await Event.join(event._id, req.user._id, {
+      guests,
+      answers: getAnswers(questions, req.body.answers),
+    });
+
+    // The conditional update misses when the user is already in or the
+    // event closed in the meantime
+    if (!result) {
+      const current = await Event.findById(event._id);
+      const participation = current.getParticipation(req.user._id);
+
+      if (!participation.status && CLOSED_EVENT_MESSAGES[current.status]) {
+        return res.status(400).json({
+          success: false,
+          message: CLOSED_EVENT_MESSAGES[current.status],
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message:
+          participation.status === 'waitlisted'
+            ? `You are already on the waitlist (position ${participation.waitlistPosition})`
+            : 'You have already joined this event',
+      });
+    }
+
+    EventActivity.track(event._id, 'join', req.user._id);
 
     const updatedEvent = await Event.findById(event._id)
       .populate('creator', 'name email photoURL')
       .populate('attendees', 'name email photoURL');
+    const participation = updatedEvent.getParticipation(req.user._id);
+    broadcast('event.joined', toLiveEvent(updatedEvent));
+
+    await notifyOrganizer(
+      event,
+      req.user,
+      'attendee_joined',
+      participation.status === 'waitlisted'
+        ? 'joined the waitlist for'
+        : 'joined'
+    );
+    await queueAttendeeWebhooks(
+      updatedEvent,
+      'attendee.joined',
+      toWebhookAttendee(req.user, participation.status, participation.guests)
+    );
+    await afterSave('Join confirmation email', () =>
+      queueMail([req.user._id], 'joinConfirmations', 'joinConfirmation', {
+        event: updatedEvent,
+        waitlisted: participation.status === 'waitlisted',
+      })
+    );
 
     res.json({
       success: true,
-      message: 'Successfully joined the event',
-      event: updatedEvent,
+      message:
+        participation.status === 'waitlisted'
+          ? `Event is full. You have been added to the waitlist (position ${participation.waitlistPosition})`
+          : 'Successfully joined the event',
+      event: updatedEvent.toViewerJSON(req.user._id),
+      participation,
+      ...(participation.status === 'attending' && {
+        ticket: {
+          token: signTicket(event._id, req.user._id),
+          code: getTicketCode(event._id, req.user._id),
+        },
+      }),
     });
   } catch (error) {
     console.error('Join event error:', error);
@@ -436,9 +1421,11 @@ router.post('/:id/join', auth, async (req, res) => {
       error: error.message,
     });
   }
-});
+};
+
+router.post('/:id/join', auth, guestValidation, joinEvent);
 
-// Leave event
+// Leave event or its waitlist
 router.post('/:id/leave', auth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -450,33 +1437,49 @@ router.post('/:id/leave', auth, async (req, res) => {
       });
     }
 
-    // Check if user is in attendees
-    if (!event.attendees.includes(req.user._id)) {
+    // Attendance of past events is kept for the record
+    if (event.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: CLOSED_EVENT_MESSAGES.completed,
+      });
+    }
+
+    const result = await Event.leave(event._id, req.user._id);
+
+    if (!result) {
       return res.status(400).json({
         success: false,
         message: 'You are not attending this event',
       });
     }
 
-    // Remove user from event attendees
-    event.attendees = event.attendees.filter(
-      (attendee) => attendee.toString() !== req.user._id.toString()
+    EventActivity.track(event._id, 'leave', req.user._id);
+    await notifyOrganizer(
+      event,
+      req.user,
+      'attendee_left',
+      result.previousStatus === 'waitlisted' ? 'left the waitlist for' : 'left'
     );
-    await event.save();
-
-    // Remove event from user's joined events
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { joinedEvents: event._id },
-    });
 
     const updatedEvent = await Event.findById(event._id)
       .populate('creator', 'name email photoURL')
       .populate('attendees', 'name email photoURL');
+    broadcast('event.left', toLiveEvent(updatedEvent));
+    await queueAttendeeWebhooks(
+      updatedEvent,
+      'attendee.left',
+      toWebhookAttendee(req.user, result.previousStatus)
+    );
 
     res.json({
       success: true,
-      message: 'Successfully left the event',
-      event: updatedEvent,
+      message:
+        result.previousStatus === 'waitlisted'
+          ? 'Successfully left the waitlist'
+          : 'Successfully left the event',
+      event: updatedEvent.toViewerJSON(req.user._id),
+      participation: updatedEvent.getParticipation(req.user._id),
     });
   } catch (error) {
     console.error('Leave event error:', error);
@@ -488,8 +1491,875 @@ router.post('/:id/leave', auth, async (req, res) => {
   }
 });
 
+const RSVP_STATUSES = ['going', 'maybe', 'declined'];
+
+const RSVP_MESSAGES = {
+  maybe: 'Marked as maybe',
+  declined: "Marked as can't go",
+};
+
+// Answer an event: going takes a seat (or waitlist place) like join; maybe
+// and declined give up any seat held
+router.post(
+  '/:id/rsvp',
+  auth,
+  [
+    body('status')
+      .isIn(RSVP_STATUSES)
+      .withMessage(`RSVP must be one of: ${RSVP_STATUSES.join(', ')}`),
+    ...guestValidation,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { status } = req.body;
+    if (status === 'going') return joinEvent(req, res);
+
+    try {
+      const event = await findRespondableEvent(req, res);
+      if (!event) return;
+
+      const left = await Event.leave(event._id, req.user._id, status);
+      const answered =
+        left || (await Event.setRsvp(event._id, req.user._id, status));
+
+      // Joined or the event closed between the two writes
+      if (!answered) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your RSVP changed in the meantime, please try again',
+        });
+      }
+
+      if (left) {
+        EventActivity.track(event._id, 'leave', req.user._id);
+        await notifyOrganizer(
+          event,
+          req.user,
+          'attendee_left',
+          left.previousStatus === 'waitlisted'
+            ? 'left the waitlist for'
+            : 'left'
+        );
+      }
+
+      const updatedEvent = await Event.findById(event._id)
+        .populate('creator', 'name email photoURL')
+        .populate('attendees', 'name email photoURL');
+      if (left) {
+        broadcast('event.left', toLiveEvent(updatedEvent));
+        await queueAttendeeWebhooks(
+          updatedEvent,
+          'attendee.left',
+          toWebhookAttendee(req.user, left.previousStatus)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: RSVP_MESSAGES[status],
+        event: updatedEvent.toViewerJSON(req.user._id),
+        participation: updatedEvent.getParticipation(req.user._id),
+      });
+    } catch (error) {
+      console.error('RSVP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update RSVP',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Change the guests you bring, up until the event starts
+router.put('/:id/guests', auth, guestValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !event.getParticipation(req.user._id).status) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not attending this event',
+      });
+    }
+
+    if (event.status !== 'upcoming') {
+      return res.status(400).json({
+        success: false,
+        message:
+          CLOSED_EVENT_MESSAGES[event.status] ||
+          'Guests cannot be changed after the event has started',
+      });
+    }
+
+    const guests = req.body.guests || [];
+    const guestsError = getGuestsError(event, guests);
+    if (guestsError) {
+      return res.status(400).json({
+        success: false,
+        message: guestsError,
+      });
+    }
+
+    const result = await Event.updateGuests(event._id, req.user._id, guests);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are not enough free seats for that many guests',
+      });
+    }
+
+    const updatedEvent = await Event.findById(event._id)
+      .populate('creator', 'name email photoURL')
+      .populate('attendees', 'name email photoURL');
+    broadcast('event.updated', toLiveEvent(updatedEvent));
+
+    res.json({
+      success: true,
+      message: 'Guests updated',
+      event: updatedEvent.toViewerJSON(req.user._id),
+      participation: updatedEvent.getParticipation(req.user._id),
+    });
+  } catch (error) {
+    console.error('Update guests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update guests',
+      error: error.message,
+    });
+  }
+});
+
+// Load an event for one of the organizer-only attendee routes, answering
+// 404/403 itself when the event is missing or belongs to someone else
+const findOrganizedEvent = async (req, res, select) => {
+  const query = Event.findById(req.params.id);
+  if (select) query.select(select);
+  const event = await query;
+
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+    return null;
+  }
+
+  if (!event.isOrganizer(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the organizer can manage attendees',
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Attendees and waitlist as flat roster rows, each with their registration
+// answers in question order
+const buildRoster = async (event) => {
+  await event.populate([
+    { path: 'attendees', select: 'name email photoURL' },
+    { path: 'waitlist.user', select: 'name email photoURL' },
+  ]);
+
+  const { registrations = [] } = await Event.findById(event._id)
+    .select('+registrations')
+    .lean();
+  const answersByUser = new Map(
+    registrations.map((registration) => [
+      registration.user.toString(),
+      registration.answers,
+    ])
+  );
+  const getAnswers = (userId) => {
+    const answers = answersByUser.get(userId.toString()) || [];
+    return event.registrationQuestions.map((question) => ({
+      question: question._id,
+      label: question.label,
+      value:
+        answers.find(
+          (answer) => answer.question.toString() === question._id.toString()
+        )?.value ?? null,
+    }));
+  };
+
+  const checkIns = new Map(
+    event.checkIns.map((checkIn) => [
+      checkIn.user.toString(),
+      checkIn.checkedInAt,
+    ])
+  );
+
+  const attendees = event.attendees.map((attendee) => ({
+    _id: attendee._id,
+    name: attendee.name,
+    email: attendee.email,
+    photoURL: attendee.photoURL,
+    status: 'attending',
+    guests: event.getParticipation(attendee._id).guests,
+    answers: getAnswers(attendee._id),
+    checkedIn: checkIns.has(attendee._id.toString()),
+    checkedInAt: checkIns.get(attendee._id.toString()) || null,
+  }));
+
+  const waitlist = event.waitlist
+    .filter((entry) => entry.user)
+    .map((entry, index) => ({
+      _id: entry.user._id,
+      name: entry.user.name,
+      email: entry.user.email,
+      photoURL: entry.user.photoURL,
+      status: 'waitlisted',
+      guests: [...(entry.guests || [])],
+      answers: getAnswers(entry.user._id),
+      waitlistPosition: index + 1,
+      waitlistedAt: entry.joinedAt,
+    }));
+
+  return { attendees, waitlist };
+};
+
+// Get event roster (organizer only)
+router.get('/:id/attendees', attendeeAuth, async (req, res) => {
+  try {
+    const event = await findOrganizedEvent(req, res);
+    if (!event) return;
+
+    const roster = await buildRoster(event);
+
+    res.json({
+      success: true,
+      ...roster,
+      counts: {
+        attending: roster.attendees.length,
+        guests: roster.attendees.reduce(
+          (total, attendee) => total + attendee.guests.length,
+          0
+        ),
+        checkedIn: roster.attendees.filter((attendee) => attendee.checkedIn)
+          .length,
+        waitlisted: roster.waitlist.length,
+      },
+    });
+  } catch (error) {
+    console.error('Get attendees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendees',
+      error: error.message,
+    });
+  }
+});
+
+// Export event roster as CSV or JSON (organizer only)
+router.get('/:id/attendees/export', attendeeAuth, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const event = await findOrganizedEvent(req, res);
+    if (!event) return;
+
+    const { attendees, waitlist } = await buildRoster(event);
+    const formatAnswer = (value) =>
+      Array.isArray(value) ? value.join('; ') : value;
+    const rows = [...attendees, ...waitlist].map((entry) => ({
+      name: entry.name,
+      email: entry.email,
+      status: entry.status,
+      guests: format === 'json' ? entry.guests : entry.guests.join('; '),
+      waitlistPosition: entry.waitlistPosition || null,
+      checkedIn: Boolean(entry.checkedIn),
+      checkedInAt: entry.checkedInAt || null,
+      // One column per question in CSV, a label → answer object in JSON
+      ...(format === 'json'
+        ? {
+            answers: Object.fromEntries(
+              entry.answers.map((answer) => [answer.label, answer.value])
+            ),
+          }
+        : Object.fromEntries(
+            entry.answers.map((answer) => [
+              `answer_${answer.question}`,
+              formatAnswer(answer.value),
+            ])
+          )),
+    }));
+    const fileName = getCalendarFileName(event).replace(
+      /\.ics$/,
+      `-attendees.${format}`
+    );
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'json') {
+      return res.json({ event: event.title, attendees: rows });
+    }
+
+    res.type('text/csv').send(
+      toCsv(rows, [
+        { key: 'name', label: 'Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'status', label: 'Status' },
+        { key: 'guests', label: 'Guests' },
+        { key: 'waitlistPosition', label: 'Waitlist Position' },
+        { key: 'checkedIn', label: 'Checked In' },
+        { key: 'checkedInAt', label: 'Checked In At' },
+        ...event.registrationQuestions.map((question) => ({
+          key: `answer_${question._id}`,
+          label: question.label,
+        })),
+      ])
+    );
+  } catch (error) {
+    console.error('Export attendees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export attendees',
+      error: error.message,
+    });
+  }
+});
+
+// Attendee routes look the user up by id, so a malformed one is a 400
+const userIdValidation = [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+];
+
+// Remove an attendee or waitlisted user (organizer only)
+router.delete(
+  '/:id/attendees/:userId',
+  attendeeAuth,
+  userIdValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findOrganizedEvent(req, res);
+      if (!event) return;
+
+      const user = await User.findById(req.params.userId);
+      const result = user ? await Event.leave(event._id, user._id, null) : null;
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'User is not attending this event',
+        });
+      }
+
+      broadcast('event.left', toLiveEvent(result.event));
+      await queueAttendeeWebhooks(
+        result.event,
+        'attendee.left',
+        toWebhookAttendee(user, result.previousStatus)
+      );
+      const roster = await buildRoster(await Event.findById(event._id));
+
+      res.json({
+        success: true,
+        message:
+          result.previousStatus === 'waitlisted'
+            ? 'User removed from the waitlist'
+            : 'Attendee removed',
+        ...roster,
+      });
+    } catch (error) {
+      console.error('Remove attendee error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove attendee',
+        error: error.message,
+      });
+    }
+  }
+);
+
+const getCheckInCounts = (event) => ({
+  registered: event.attendees.length,
+  checkedIn: event.checkIns.length,
+});
+
+// Tell open check-in kiosks the new counts; like the stream's messages
+// about private events, only numbers go out
+const broadcastCheckIns = (event) =>
+  broadcast('event.checked_in', {
+    _id: event._id,
+    counts: getCheckInCounts(event),
+  });
+
+// Mark an attendee as checked in (organizer only)
+router.post(
+  '/:id/attendees/:userId/check-in',
+  attendeeAuth,
+  userIdValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findOrganizedEvent(req, res);
+      if (!event) return;
+
+      const user = await User.findById(req.params.userId);
+      if (!user || !event.getParticipation(user._id).status) {
+        return res.status(404).json({
+          success: false,
+          message: 'User is not attending this event',
+        });
+      }
+
+      const updated = await Event.checkIn(event._id, user._id);
+
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          message: event.checkIns.some(
+            (checkIn) => checkIn.user.toString() === user._id.toString()
+          )
+            ? 'Attendee is already checked in'
+            : 'Only confirmed attendees can be checked in',
+        });
+      }
+
+      broadcastCheckIns(updated);
+
+      res.json({
+        success: true,
+        message: `${user.name} checked in`,
+        ...(await buildRoster(updated)),
+      });
+    } catch (error) {
+      console.error('Check in attendee error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check in attendee',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Undo an attendee check-in (organizer only)
+router.delete(
+  '/:id/attendees/:userId/check-in',
+  attendeeAuth,
+  userIdValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findOrganizedEvent(req, res);
+      if (!event) return;
+
+      const updated = await Event.findOneAndUpdate(
+        { _id: event._id, 'checkIns.user': req.params.userId },
+        { $pull: { checkIns: { user: req.params.userId } } },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          message: 'Attendee is not checked in',
+        });
+      }
+
+      broadcastCheckIns(updated);
+
+      res.json({
+        success: true,
+        message: 'Check-in removed',
+        ...(await buildRoster(updated)),
+      });
+    } catch (error) {
+      console.error('Undo check-in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove check-in',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Invitations to invite-only events
+
+const MAX_INVITATIONS_PER_REQUEST = 50;
+
+const getInvitationStatus = (invitation) => {
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.acceptedBy) return 'accepted';
+  return 'pending';
+};
+
+// Invitation list for the organizer, newest first, with shareable links
+const buildInvitations = async (event) => {
+  await event.populate('invitations.acceptedBy', 'name email');
+
+  const invitations = [...event.invitations].reverse().map((invitation) => ({
+    _id: invitation._id,
+    email: invitation.email,
+    status: getInvitationStatus(invitation),
+    url: getEventUrl(event._id, { invite: invitation.token }),
+    createdAt: invitation.createdAt,
+    revokedAt: invitation.revokedAt,
+    acceptedAt: invitation.acceptedAt,
+    acceptedBy: invitation.acceptedBy && {
+      _id: invitation.acceptedBy._id,
+      name: invitation.acceptedBy.name,
+      email: invitation.acceptedBy.email,
+    },
+  }));
+
+  const counts = { pending: 0, accepted: 0, revoked: 0 };
+  invitations.forEach((invitation) => {
+    counts[invitation.status] += 1;
+  });
+
+  return { invitations, counts };
+};
+
+// Get invitations for an event (organizer only)
+router.get('/:id/invitations', attendeeAuth, async (req, res) => {
+  try {
+    const event = await findOrganizedEvent(req, res, '+invitations');
+    if (!event) return;
+
+    res.json({
+      success: true,
+      ...(await buildInvitations(event)),
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations',
+      error: error.message,
+    });
+  }
+});
+
+// Create invitations: one per email, or a single open link without emails
+router.post(
+  '/:id/invitations',
+  attendeeAuth,
+  [
+    body('emails')
+      .optional()
+      .isArray({ max: MAX_INVITATIONS_PER_REQUEST })
+      .withMessage(
+        `Up to ${MAX_INVITATIONS_PER_REQUEST} emails can be invited at once`
+      ),
+    body('emails.*')
+      .trim()
+      .isEmail()
+      .withMessage('Please enter valid email addresses')
+      .toLowerCase(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findOrganizedEvent(req, res, '+invitations');
+      if (!event) return;
+
+      // Emails that already have a working invitation are skipped
+      const invited = new Set(
+        event.invitations
+          .filter((invitation) => !invitation.revokedAt && invitation.email)
+          .map((invitation) => invitation.email)
+      );
+      const emails = [...new Set(req.body.emails || [])].filter(
+        (email) => !invited.has(email)
+      );
+      const created = (req.body.emails?.length ? emails : [null]).map(
+        (email) => ({
+          token: crypto.randomBytes(16).toString('hex'),
+          email,
+          createdAt: new Date(),
+        })
+      );
+
+      if (created.length > 0) {
+        await Event.updateOne(
+          { _id: event._id },
+          { $push: { invitations: { $each: created } } }
+        );
+      }
+
+      // Invitees who already have an account show up as "invited"
+      if (emails.length > 0) {
+        const invitees = await User.find({ email: { $in: emails } }, '_id');
+        await Event.markInvited(
+          event._id,
+          invitees.map((invitee) => invitee._id)
+        );
+      }
+
+      const updatedEvent = await Event.findById(event._id).select(
+        '+invitations'
+      );
+
+      res.status(201).json({
+        success: true,
+        message:
+          created.length === 1
+            ? 'Invitation created'
+            : `${created.length} invitations created`,
+        created: created.length,
+        ...(await buildInvitations(updatedEvent)),
+      });
+    } catch (error) {
+      console.error('Create invitations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invitations',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Revoke an invitation so its link stops working
+router.delete(
+  '/:id/invitations/:invitationId',
+  attendeeAuth,
+  async (req, res) => {
+    try {
+      const event = await findOrganizedEvent(req, res, '+invitations');
+      if (!event) return;
+
+      const invitation = event.invitations.id(req.params.invitationId);
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found',
+        });
+      }
+
+      if (!invitation.revokedAt) {
+        await Event.updateOne(
+          { _id: event._id, 'invitations._id': invitation._id },
+          { $set: { 'invitations.$.revokedAt': new Date() } }
+        );
+      }
+
+      const updatedEvent = await Event.findById(event._id).select(
+        '+invitations'
+      );
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked',
+        ...(await buildInvitations(updatedEvent)),
+      });
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get the signed ticket for an event the user is attending
+router.get('/:id/ticket', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found',
+      });
+    }
+
+    if (event.getParticipation(req.user._id).status !== 'attending') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only attendees have a ticket for this event',
+      });
+    }
+
+    res.json({
+      success: true,
+      ticket: {
+        token: signTicket(event._id, req.user._id),
+        code: getTicketCode(event._id, req.user._id),
+        checkedIn: event.checkIns.some(
+          (checkIn) => checkIn.user.toString() === req.user._id.toString()
+        ),
+      },
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ticket',
+      error: error.message,
+    });
+  }
+});
+
+// Live check-in counts for the kiosk (organizer only)
+router.get('/:id/check-in', attendeeAuth, async (req, res) => {
+  try {
+    const event = await findOrganizedEvent(req, res);
+    if (!event) return;
+
+    res.json({
+      success: true,
+      event: { _id: event._id, title: event.title, dateTime: event.dateTime },
+      counts: getCheckInCounts(event),
+    });
+  } catch (error) {
+    console.error('Get check-in counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get check-in counts',
+      error: error.message,
+    });
+  }
+});
+
+// Check in a scanned QR ticket or a typed ticket code (organizer only)
+router.post(
+  '/:id/check-in',
+  attendeeAuth,
+  [body('code').trim().notEmpty().withMessage('Ticket code is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findOrganizedEvent(req, res);
+      if (!event) return;
+
+      const { code } = req.body;
+      let userId = null;
+
+      const ticket = verifyTicket(code);
+      if (ticket) {
+        if (ticket.eventId !== event._id.toString()) {
+          return res.status(400).json({
+            success: false,
+            message: 'This ticket is for a different event',
+            counts: getCheckInCounts(event),
+          });
+        }
+        userId = ticket.userId;
+      } else {
+        // Typed short codes are matched against every attendee's code
+        const typed = normalizeTicketCode(code);
+        const match = event.attendees.find(
+          (attendee) => getTicketCode(event._id, attendee) === typed
+        );
+        userId = match ? match.toString() : null;
+      }
+
+      const user = userId ? await User.findById(userId, 'name photoURL') : null;
+
+      if (!user || event.getParticipation(user._id).status !== 'attending') {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not valid: no matching attendee',
+          counts: getCheckInCounts(event),
+        });
+      }
+
+      const updated = await Event.checkIn(event._id, user._id);
+
+      if (!updated) {
+        const current = await Event.findById(event._id);
+        const previous = current.checkIns.find(
+          (checkIn) => checkIn.user.toString() === user._id.toString()
+        );
+
+        return res.status(409).json({
+          success: false,
+          message: `${user.name} is already checked in`,
+          attendee: user,
+          checkedInAt: previous?.checkedInAt || null,
+          counts: getCheckInCounts(current),
+        });
+      }
+
+      broadcastCheckIns(updated);
+
+      res.json({
+        success: true,
+        message: `Welcome, ${user.name}!`,
+        attendee: user,
+        counts: getCheckInCounts(updated),
+      });
+    } catch (error) {
+      console.error('Check-in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check in ticket',
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Get user's created events
-router.get('/user/created', auth, async (req, res) => {
+router.get('/user/created', readAuth, async (req, res) => {
   try {
     const events = await Event.find({ creator: req.user._id })
       .populate('creator', 'name email photoURL')
@@ -510,7 +2380,7 @@ router.get('/user/created', auth, async (req, res) => {
 });
 
 // Get user's joined events
-router.get('/user/joined', auth, async (req, res) => {
+router.get('/user/joined', readAuth, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).populate({
       path: 'joinedEvents',
@@ -521,9 +2391,19 @@ router.get('/user/joined', auth, async (req, res) => {
       options: { sort: { dateTime: -1 } },
     });
 
+    const waitlisted = await Event.find({ 'waitlist.user': req.user._id })
+      .populate('creator', 'name email photoURL')
+      .sort({ dateTime: -1 });
+
     res.json({
       success: true,
-      events: user.joinedEvents,
+      events: user.joinedEvents.map((event) =>
+        event.toViewerJSON(req.user._id)
+      ),
+      waitlistedEvents: waitlisted.map((event) => ({
+        ...event.toViewerJSON(req.user._id),
+        waitlistPosition: event.getParticipation(req.user._id).waitlistPosition,
+      })),
     });
   } catch (error) {
     console.error('Get joined events error:', error);
@@ -535,4 +2415,10 @@ router.get('/user/joined', auth, async (req, res) => {
   }
 });
 
+// Ratings, reviews and feedback surveys
+router.use('/:id/reviews', reviewRoutes);
+
+// Discussion threads and Q&A
+router.use('/:id/comments', commentRoutes);
+
 export default router;
@@ -0,0 +1,134 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import auth from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Page size of the notification list
+const MAX_LIMIT = 50;
+
+// List the user's notifications, newest first. ?unread=true leaves out the
+// ones already read.
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit, 10) || 20)
+    );
+    const query = {
+      user: req.user._id,
+      ...(req.query.unread === 'true' && { read: false }),
+    };
+
+    const notifications = await Notification.find(query)
+      .populate('event', 'title dateTime status')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      read: false,
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: error.message,
+    });
+  }
+});
+
+// Number of unread notifications, for the badge
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      user: req.user._id,
+      read: false,
+    });
+
+    res.json({
+      success: true,
+      count,
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: error.message,
+    });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { $set: { read: true } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message,
+    });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOneAndUpdate(
+          { _id: req.params.id, user: req.user._id },
+          { $set: { read: true } },
+          { new: true }
+        ).populate('event', 'title dateTime status')
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      notification,
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
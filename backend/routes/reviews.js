@@ -0,0 +1,340 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Event from '../models/Event.js';
+import Review, { MAX_RATING, MIN_RATING } from '../models/Review.js';
+import auth, { allowApiKey, optionalAuth } from '../middleware/auth.js';
+import { buildAnswerValidation, getAnswers } from '../utils/questions.js';
+
+// Mounted under /api/events/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Load the reviewed event, hiding invite-only events from people who can't
+// see them like the event routes do
+const findReviewedEvent = async (req, res) => {
+  const event = mongoose.isValidObjectId(req.params.id)
+    ? await Event.findById(req.params.id).select('+invitations')
+    : null;
+
+  if (!event || !event.canAccess(req.user, req.query.invite)) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found',
+    });
+    return null;
+  }
+
+  event.invitations = undefined;
+  return event;
+};
+
+// Why a user can't review an event, with the status to answer with, if they
+// can't
+const getReviewError = (event, userId) => {
+  if (event.isOrganizer(userId)) {
+    return {
+      status: 403,
+      message: 'Organizers cannot review their own events',
+    };
+  }
+  if (!event.attendees.some((id) => id.equals(userId))) {
+    return { status: 403, message: 'Only attendees can review this event' };
+  }
+  if (event.status !== 'completed') {
+    return { status: 400, message: 'Reviews open once the event has ended' };
+  }
+  return null;
+};
+
+// Number of visible reviews per star rating
+const getDistribution = async (eventId) => {
+  const groups = await Review.aggregate([
+    { $match: { event: eventId, hidden: false } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = {};
+  for (let rating = MIN_RATING; rating <= MAX_RATING; rating++) {
+    distribution[rating] = 0;
+  }
+  groups.forEach((group) => {
+    distribution[group._id] = group.count;
+  });
+  return distribution;
+};
+
+// Survey answers summed up per feedback question: option counts for choice
+// questions, the answers themselves for text ones
+const buildSurveyResults = (questions, reviews) =>
+  questions.map((question) => {
+    const values = reviews
+      .map(
+        (review) =>
+          review.answers.find((answer) => answer.question.equals(question._id))
+            ?.value
+      )
+      .filter((value) => value !== undefined);
+
+    const result = {
+      question: question._id,
+      label: question.label,
+      type: question.type,
+      responses: values.length,
+    };
+
+    if (question.type === 'text') {
+      return { ...result, answers: values };
+    }
+
+    return {
+      ...result,
+      options: question.options.map((option) => ({
+        option,
+        count: values.filter((value) =>
+          Array.isArray(value) ? value.includes(option) : value === option
+        ).length,
+      })),
+    };
+  });
+
+// Get an event's reviews and rating. The organizer also sees hidden reviews
+// and the survey results.
+router.get('/', optionalAuth, allowApiKey('events:read'), async (req, res) => {
+  try {
+    const event = await findReviewedEvent(req, res);
+    if (!event) return;
+
+    const isOrganizer = Boolean(req.user) && event.isOrganizer(req.user._id);
+
+    const reviews = await Review.find({
+      event: event._id,
+      ...(!isOrganizer && { hidden: false }),
+    })
+      .populate('user', 'name photoURL')
+      .sort({ createdAt: -1 });
+
+    const myReview = req.user
+      ? await Review.findOne({ event: event._id, user: req.user._id })
+      : null;
+
+    res.json({
+      success: true,
+      rating: event.rating,
+      distribution: await getDistribution(event._id),
+      reviews: reviews.map((review) => {
+        const json = review.toJSON();
+        // Survey answers are for the organizer only
+        if (!isOrganizer) delete json.answers;
+        return json;
+      }),
+      myReview,
+      canReview: Boolean(req.user) && !getReviewError(event, req.user._id),
+      ...(isOrganizer && {
+        survey: buildSurveyResults(event.feedbackQuestions, reviews),
+      }),
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reviews',
+      error: error.message,
+    });
+  }
+});
+
+// Create or update your review of an event you attended
+router.post(
+  '/',
+  auth,
+  [
+    body('rating')
+      .isInt({ min: MIN_RATING, max: MAX_RATING })
+      .withMessage(`Rating must be between ${MIN_RATING} and ${MAX_RATING}`)
+      .toInt(),
+    body('comment')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Review must not exceed 2000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findReviewedEvent(req, res);
+      if (!event) return;
+
+      const reviewError = getReviewError(event, req.user._id);
+      if (reviewError) {
+        return res.status(reviewError.status).json({
+          success: false,
+          message: reviewError.message,
+        });
+      }
+
+      const questions = event.feedbackQuestions;
+      await Promise.all(
+        buildAnswerValidation(questions).map((chain) => chain.run(req))
+      );
+      const answerErrors = validationResult(req);
+      if (!answerErrors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please answer the survey questions',
+          errors: answerErrors.array(),
+        });
+      }
+
+      // Editing keeps the moderation state, so a hidden review stays hidden
+      const review = await Review.findOneAndUpdate(
+        { event: event._id, user: req.user._id },
+        {
+          $set: {
+            organizer: event.creator,
+            rating: req.body.rating,
+            comment: req.body.comment || '',
+            answers: getAnswers(questions, req.body.answers),
+          },
+        },
+        {
+          new: true,
+          upsert: true,
+          runValidators: true,
+          setDefaultsOnInsert: true,
+        }
+      );
+
+      const rating = await Review.refreshEventRating(event._id);
+
+      res.json({
+        success: true,
+        message: 'Thanks for your feedback',
+        review,
+        rating,
+      });
+    } catch (error) {
+      console.error('Save review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save review',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete your review of an event
+router.delete('/', auth, async (req, res) => {
+  try {
+    const event = await findReviewedEvent(req, res);
+    if (!event) return;
+
+    const review = await Review.findOneAndDelete({
+      event: event._id,
+      user: req.user._id,
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    const rating = await Review.refreshEventRating(event._id);
+
+    res.json({
+      success: true,
+      message: 'Review deleted',
+      rating,
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete review',
+      error: error.message,
+    });
+  }
+});
+
+// Hide or show a review (organizer only)
+router.patch(
+  '/:reviewId/moderation',
+  auth,
+  [
+    body('hidden')
+      .isBoolean()
+      .withMessage('Hidden must be true or false')
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await findReviewedEvent(req, res);
+      if (!event) return;
+
+      if (!event.isOrganizer(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the organizer can moderate reviews',
+        });
+      }
+
+      const review = mongoose.isValidObjectId(req.params.reviewId)
+        ? await Review.findOneAndUpdate(
+            { _id: req.params.reviewId, event: event._id },
+            {
+              $set: {
+                hidden: req.body.hidden,
+                hiddenAt: req.body.hidden ? new Date() : null,
+              },
+            },
+            { new: true }
+          ).populate('user', 'name photoURL')
+        : null;
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found',
+        });
+      }
+
+      const rating = await Review.refreshEventRating(event._id);
+
+      res.json({
+        success: true,
+        message: review.hidden ? 'Review hidden' : 'Review visible again',
+        review,
+        rating,
+      });
+    } catch (error) {
+      console.error('Moderate review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to moderate review',
+        error: error.message,
+      });
+    }
+  }
+);
+
+export default router;
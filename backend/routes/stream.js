@@ -0,0 +1,13 @@
+import express from 'express';
+import { addClient } from '../utils/realtime.js';
+
+const router = express.Router();
+
+// Live event changes as Server-Sent Events: "event.updated" with the
+// changed event's counts (and details for public events), "event.deleted"
+// with its id
+router.get('/', (req, res) => {
+  addClient(req, res);
+});
+
+export default router;
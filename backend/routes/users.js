@@ -1,6 +1,12 @@
 import express from 'express';
-import User from '../models/User.js';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import User, { EMAIL_PREFERENCES } from '../models/User.js';
+import Event, { LISTED_EVENTS } from '../models/Event.js';
+import Review from '../models/Review.js';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
 import auth from '../middleware/auth.js';
+import process from 'process';
 
 const router = express.Router();
 
@@ -58,4 +64,307 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
+// Get which emails the user receives
+router.get('/email-preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('emailPreferences');
+
+    res.json({
+      success: true,
+      preferences: user.emailPreferences,
+    });
+  } catch (error) {
+    console.error('Get email preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get email preferences',
+      error: error.message,
+    });
+  }
+});
+
+// Turn kinds of email on or off; preferences left out are unchanged
+router.put(
+  '/email-preferences',
+  auth,
+  EMAIL_PREFERENCES.map((preference) =>
+    body(preference)
+      .optional()
+      .isBoolean()
+      .withMessage(`${preference} must be true or false`)
+      .toBoolean()
+  ),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const updates = {};
+      EMAIL_PREFERENCES.forEach((preference) => {
+        if (req.body[preference] !== undefined) {
+          updates[`emailPreferences.${preference}`] = req.body[preference];
+        }
+      });
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: updates },
+        { new: true }
+      ).select('emailPreferences');
+
+      res.json({
+        success: true,
+        message: 'Email preferences updated',
+        preferences: user.emailPreferences,
+      });
+    } catch (error) {
+      console.error('Update email preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update email preferences',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Public URL of a personal calendar feed
+const getFeedUrl = (req, token) => {
+  const baseUrl =
+    process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${baseUrl}/calendar/feed/${token}.ics`;
+};
+
+// Get (and create on first use) the personal calendar feed URL
+router.get('/calendar-feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      url: getFeedUrl(req, user.calendarToken),
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+// Replace the calendar feed URL, e.g. after it was shared by mistake
+router.post('/calendar-feed/reset', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.generateCalendarToken();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL has been reset',
+      url: getFeedUrl(req, token),
+    });
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+// Keys per user
+const MAX_API_KEYS = 20;
+
+// Longest lifetime of an API key, when it has one
+const MAX_API_KEY_DAYS = 365;
+
+// List the user's API keys (never the keys themselves)
+router.get('/api-keys', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      apiKeys,
+      scopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get API keys',
+      error: error.message,
+    });
+  }
+});
+
+// Create an API key. The response is the only time the key is shown.
+router.post(
+  '/api-keys',
+  auth,
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: MAX_API_KEY_DAYS })
+      .withMessage(
+        `Expiry must be between 1 and ${MAX_API_KEY_DAYS} days, or none`
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const count = await ApiKey.countDocuments({ user: req.user._id });
+      if (count >= MAX_API_KEYS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have up to ${MAX_API_KEYS} API keys`,
+        });
+      }
+
+      const { name, scopes, expiresInDays } = req.body;
+      const { apiKey, key } = await ApiKey.generate(req.user._id, {
+        name,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays
+          ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+          : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created',
+        apiKey,
+        key,
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create API key',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Revoke an API key; requests using it fail right away
+router.delete('/api-keys/:keyId', auth, async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.keyId)
+      ? await ApiKey.findOneAndDelete({
+          _id: req.params.keyId,
+          user: req.user._id,
+        })
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message,
+    });
+  }
+});
+
+// Public organizer profile: their listed events, overall rating and the
+// latest visible reviews across those events
+router.get('/:id/organizer', async (req, res) => {
+  try {
+    const organizer = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('name photoURL createdAt')
+      : null;
+
+    if (!organizer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organizer not found',
+      });
+    }
+
+    const events = await Event.find({
+      creator: organizer._id,
+      ...LISTED_EVENTS,
+    })
+      .select(
+        'title dateTime endTime location category status attendeeCount maxAttendees rating'
+      )
+      .sort({ dateTime: -1 });
+
+    const rating = await Review.summarize({ organizer: organizer._id });
+
+    // Reviews of unlisted and invite-only events count towards the rating
+    // but are not shown
+    const reviews = await Review.find({
+      organizer: organizer._id,
+      event: { $in: events.map((event) => event._id) },
+      hidden: false,
+    })
+      .select('-answers')
+      .populate('user', 'name photoURL')
+      .populate('event', 'title dateTime')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      organizer,
+      rating,
+      events,
+      reviews,
+    });
+  } catch (error) {
+    console.error('Get organizer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get organizer',
+      error: error.message,
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,366 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import process from 'process';
+import { body, validationResult } from 'express-validator';
+import Webhook, {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+} from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import auth from '../middleware/auth.js';
+import { createDelivery } from '../jobs/webhookQueue.js';
+import { getBlockedHostError } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+// Endpoints per user
+const MAX_WEBHOOKS = 10;
+
+// Page size of the delivery log
+const MAX_LIMIT = 50;
+
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+// Shared by create (fields required) and update (fields optional)
+const buildWebhookValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .trim()
+      // Local receivers only with WEBHOOK_ALLOW_PRIVATE_URLS, for testing
+      .isURL({
+        protocols: ['http', 'https'],
+        require_protocol: true,
+        require_tld: process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true',
+      })
+      .withMessage('Please enter a valid http(s) URL')
+      .bail()
+      .custom((value) => {
+        const hostError = getBlockedHostError(new URL(value).hostname);
+        if (hostError) throw new Error(`Webhook URL not allowed: ${hostError}`);
+        return true;
+      }),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Subscribe to at least one event'),
+    body('events.*')
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description must not exceed 200 characters'),
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be true or false'),
+  ];
+};
+
+// The user's webhook from the URL, or a 404 response
+const findOwnWebhook = async (req, res) => {
+  const webhook = mongoose.isValidObjectId(req.params.id)
+    ? await Webhook.findOne({ _id: req.params.id, owner: req.user._id })
+    : null;
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found',
+    });
+    return null;
+  }
+  return webhook;
+};
+
+// The user's webhooks with the outcome of each one's latest delivery
+router.get('/', auth, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    const withLastDelivery = await Promise.all(
+      webhooks.map(async (webhook) => ({
+        ...webhook.toObject(),
+        lastDelivery: await WebhookDelivery.findOne({ webhook: webhook._id })
+          .select('event status responseStatus createdAt deliveredAt')
+          .sort({ createdAt: -1 }),
+      }))
+    );
+
+    res.json({
+      success: true,
+      webhooks: withLastDelivery,
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhooks',
+      error: error.message,
+    });
+  }
+});
+
+// Register an endpoint. The response is the only time the signing secret is
+// shown until it's rotated.
+router.post('/', auth, buildWebhookValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const count = await Webhook.countDocuments({ owner: req.user._id });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register up to ${MAX_WEBHOOKS} webhooks`,
+      });
+    }
+
+    const { url, events, description, active } = req.body;
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      owner: req.user._id,
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toObject(), secret },
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook',
+      error: error.message,
+    });
+  }
+});
+
+// Change the URL, subscriptions, description or turn the webhook on and off
+router.put('/:id', auth, buildWebhookValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const { url, events, description, active } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = active;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook,
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook',
+      error: error.message,
+    });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook',
+      error: error.message,
+    });
+  }
+});
+
+// Replace the signing secret; deliveries from now on use the new one
+router.post('/:id/secret', auth, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = generateWebhookSecret();
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { secret } });
+
+    res.json({
+      success: true,
+      message: 'Signing secret rotated',
+      secret,
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate signing secret',
+      error: error.message,
+    });
+  }
+});
+
+// Queue a "ping" delivery to check the endpoint is reachable
+router.post('/:id/ping', auth, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Turn the webhook on before sending a test',
+      });
+    }
+
+    const delivery = await createDelivery(webhook, 'ping', {
+      webhook: { _id: webhook._id, url: webhook.url, events: webhook.events },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Test delivery queued',
+      delivery,
+    });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue test delivery',
+      error: error.message,
+    });
+  }
+});
+
+// Delivery log of a webhook, newest first. ?status= narrows it to one
+// status.
+router.get('/:id/deliveries', auth, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, parseInt(req.query.limit, 10) || 20)
+    );
+    const query = {
+      webhook: webhook._id,
+      ...(DELIVERY_STATUSES.includes(req.query.status) && {
+        status: req.query.status,
+      }),
+    };
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-lockedAt')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get deliveries',
+      error: error.message,
+    });
+  }
+});
+
+// Send a past delivery's payload again as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const original = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({
+          _id: req.params.deliveryId,
+          webhook: webhook._id,
+        })
+      : null;
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Turn the webhook on before redelivering',
+      });
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: original.event,
+      payload: original.payload,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Redelivery queued',
+      delivery,
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue redelivery',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import process from 'process';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+// Detects and fixes drift between Event.attendees/attendeeCount/waitlist,
+// Event.rsvps/rsvpCounts and User.joinedEvents. Event.attendees is treated
+// as the source of truth.
+//
+// The site keeps running while this does, so every write only applies if
+// the lists still hold what was read; a document that changed in between
+// is read and checked again.
+//
+// Usage: npm run repair:attendance [-- --dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Checks per document before giving up on one that keeps changing
+const MAX_ATTEMPTS = 5;
+
+const EVENT_FIELDS =
+  'title attendees attendeeCount waitlist maxAttendees guests rsvps rsvpCounts';
+
+// First occurrence of each id, keeping the ObjectIds as they were read
+const uniqueIds = (ids) => {
+  const seen = new Set();
+  return ids.filter((id) => {
+    const key = id.toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Filter matching the document only while `fields` hold what was read.
+// Writes go through the driver so the lists are compared exactly as
+// stored, without Mongoose casting them first.
+const unchanged = (doc, fields) => ({
+  _id: doc._id,
+  ...Object.fromEntries(
+    fields.map((field) => [
+      field,
+      doc[field] === undefined ? { $exists: false } : doc[field],
+    ])
+  ),
+});
+
+// Repair one event. Returns false when it changed before the write.
+const repairEvent = async (eventId, stats) => {
+  const event = await Event.findById(eventId, EVENT_FIELDS).lean();
+  if (!event) return true;
+
+  const waitlistEntries = event.waitlist || [];
+  const referenced = [
+    ...event.attendees,
+    ...waitlistEntries.map((entry) => entry.user),
+    ...(event.rsvps || []).map((rsvp) => rsvp.user),
+  ];
+  const userIds = new Set(
+    (await User.distinct('_id', { _id: { $in: referenced } })).map((id) =>
+      id.toString()
+    )
+  );
+
+  const attendees = uniqueIds(event.attendees).filter((id) =>
+    userIds.has(id.toString())
+  );
+  const seated = new Set(attendees.map((id) => id.toString()));
+  const queued = new Set();
+  const waitlist = waitlistEntries.filter((entry) => {
+    const id = entry.user.toString();
+    if (!userIds.has(id) || seated.has(id) || queued.has(id)) return false;
+    queued.add(id);
+    return true;
+  });
+
+  // Guests only hold seats while their host does
+  const guests = (event.guests || []).filter((guest) =>
+    seated.has(guest.host.toString())
+  );
+  const seatsTaken = attendees.length + guests.length;
+
+  // Participants answer "going"; a "going" answer without a seat or
+  // waitlist place is dropped
+  const participants = new Set([...seated, ...queued]);
+  const answered = new Set();
+  const rsvps = [];
+  (event.rsvps || []).forEach((rsvp) => {
+    const id = rsvp.user.toString();
+    if (!userIds.has(id) || answered.has(id)) return;
+    if (participants.has(id) !== (rsvp.status === 'going')) return;
+    answered.add(id);
+    rsvps.push(rsvp);
+  });
+  participants.forEach((id) => {
+    if (answered.has(id)) return;
+    rsvps.push({
+      user: new mongoose.Types.ObjectId(id),
+      status: 'going',
+      updatedAt: new Date(),
+    });
+  });
+
+  const countRsvps = (status) =>
+    rsvps.filter((rsvp) => rsvp.status === status).length;
+  const rsvpCounts = {
+    going: seatsTaken,
+    waitlisted: waitlist.length,
+    maybe: countRsvps('maybe'),
+    declined: countRsvps('declined'),
+    invited: countRsvps('invited'),
+  };
+
+  const problems = [];
+  if (attendees.length !== event.attendees.length) {
+    problems.push(
+      `${event.attendees.length - attendees.length} duplicate or unknown attendee(s)`
+    );
+  }
+  if (waitlist.length !== waitlistEntries.length) {
+    problems.push(
+      `${waitlistEntries.length - waitlist.length} invalid waitlist entr(ies)`
+    );
+  }
+  if (guests.length !== (event.guests || []).length) {
+    problems.push(
+      `${(event.guests || []).length - guests.length} guest(s) without a seated host`
+    );
+  }
+  if (event.attendeeCount !== seatsTaken) {
+    problems.push(
+      `attendeeCount ${event.attendeeCount} should be ${seatsTaken}`
+    );
+  }
+  const rsvpsChanged =
+    rsvps.length !== (event.rsvps || []).length ||
+    rsvps.some((rsvp, index) => rsvp !== event.rsvps[index]);
+  if (rsvpsChanged) {
+    problems.push('RSVPs out of step with attendees/waitlist');
+  }
+  if (
+    Object.entries(rsvpCounts).some(
+      ([status, count]) => event.rsvpCounts?.[status] !== count
+    )
+  ) {
+    problems.push('rsvpCounts out of date');
+  }
+  if (event.maxAttendees && seatsTaken > event.maxAttendees) {
+    // Reported only: removing people from an event needs a human decision
+    console.warn(
+      `Event ${event._id} (${event.title}) is overbooked: ${seatsTaken}/${event.maxAttendees}`
+    );
+  }
+
+  if (problems.length === 0) return true;
+
+  if (!dryRun) {
+    const result = await Event.collection.updateOne(
+      unchanged(event, ['attendees', 'waitlist', 'guests', 'rsvps']),
+      {
+        $set: {
+          attendees,
+          attendeeCount: seatsTaken,
+          waitlist,
+          guests,
+          rsvps,
+          rsvpCounts,
+        },
+      }
+    );
+    if (result.matchedCount === 0) return false;
+  }
+
+  console.log(`Event ${event._id} (${event.title}): ${problems.join(', ')}`);
+  stats.events++;
+  return true;
+};
+
+// Repair one user's joinedEvents against the events seating them. The user
+// is read first, so a join landing in between changes joinedEvents and
+// fails the write instead of being undone.
+const repairUser = async (userId, stats) => {
+  const user = await User.findById(userId, 'joinedEvents').lean();
+  if (!user) return true;
+
+  const expected = new Set(
+    (await Event.distinct('_id', { attendees: user._id })).map((id) =>
+      id.toString()
+    )
+  );
+  const joined = user.joinedEvents || [];
+  const current = uniqueIds(joined);
+  const currentKeys = new Set(current.map((id) => id.toString()));
+  const kept = current.filter((eventId) => expected.has(eventId.toString()));
+  const added = [...expected].filter((eventId) => !currentKeys.has(eventId));
+  const removed = current.length - kept.length;
+  const duplicates = joined.length - current.length;
+
+  if (removed === 0 && added.length === 0 && duplicates === 0) return true;
+
+  if (!dryRun) {
+    const result = await User.collection.updateOne(
+      unchanged(user, ['joinedEvents']),
+      {
+        $set: {
+          joinedEvents: [
+            ...kept,
+            ...added.map((eventId) => new mongoose.Types.ObjectId(eventId)),
+          ],
+        },
+      }
+    );
+    if (result.matchedCount === 0) return false;
+  }
+
+  console.log(
+    `User ${user._id}: +${added.length} missing, -${removed} stale, ${duplicates} duplicate joined event(s)`
+  );
+  stats.users++;
+  return true;
+};
+
+// Run a repair until it gets a consistent read, or give up on the document
+const withRetries = async (label, repair) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (await repair()) return;
+  }
+  console.warn(`${label} kept changing during the repair; run again later`);
+};
+
+const repairAttendance = async () => {
+  const stats = { events: 0, users: 0 };
+
+  // Events first: users are checked against the repaired attendee lists
+  for (const eventId of await Event.distinct('_id')) {
+    await withRetries(`Event ${eventId}`, () => repairEvent(eventId, stats));
+  }
+  for (const userId of await User.distinct('_id')) {
+    await withRetries(`User ${userId}`, () => repairUser(userId, stats));
+  }
+
+  console.log(
+    `${dryRun ? 'Found' : 'Repaired'} ${stats.events} event(s) and ${stats.users} user(s) out of sync`
+  );
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(repairAttendance)
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error('Attendance repair failed:', error);
+    process.exitCode = 1;
+    return mongoose.disconnect();
+  });
@@ -7,6 +7,15 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import eventRoutes from './routes/events.js';
 import userRoutes from './routes/users.js';
+import calendarRoutes from './routes/calendar.js';
+import analyticsRoutes from './routes/analytics.js';
+import notificationRoutes from './routes/notifications.js';
+import streamRoutes from './routes/stream.js';
+import webhookRoutes from './routes/webhooks.js';
+import { startEventStatusScheduler } from './jobs/eventStatus.js';
+import { startMailQueue } from './jobs/mailQueue.js';
+import { startEventReminderScheduler } from './jobs/eventReminders.js';
+import { startWebhookQueue } from './jobs/webhookQueue.js';
 import process from 'process';
 
 dotenv.config();
@@ -38,13 +47,24 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // MongoDB connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startEventStatusScheduler();
+    startMailQueue();
+    startEventReminderScheduler();
+    startWebhookQueue();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,77 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import express from 'express';
+import mongoose from 'mongoose';
+import authRoutes from '../routes/auth.js';
+import User from '../models/User.js';
+
+// Sent mail lands in a temporary directory to read the link back from
+const mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'eventify-mail-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = mailDir;
+
+// Every write any model makes, serialized, standing in for the database
+const stored = [];
+const record = (name) =>
+  mock.method(mongoose.Model, name, async (...args) => {
+    stored.push(JSON.stringify(args));
+    return name === 'insertMany' ? [] : {};
+  });
+['create', 'insertMany', 'updateOne', 'updateMany', 'bulkWrite'].forEach(
+  record
+);
+mock.method(mongoose.Model, 'deleteMany', async () => ({ deletedCount: 0 }));
+mock.method(mongoose.Model.prototype, 'save', async function () {
+  stored.push(JSON.stringify(this));
+  return this;
+});
+
+// Read the token out of the reset link in the one email sent
+const readSentToken = async () => {
+  const [file] = await fs.readdir(mailDir);
+  const message = (await fs.readFile(path.join(mailDir, file), 'utf8'))
+    // Undo quoted-printable soft line breaks and escapes
+    .replace(/=\r?\n/g, '')
+    .replace(/=3D/g, '=');
+  return message.match(/reset-password\?token=([0-9a-f]+)/)[1];
+};
+
+test('forgot-password leaves no usable token in the database', async () => {
+  const user = new User({ name: 'Ada', email: 'ada@example.com' });
+  mock.method(User, 'findOne', async () => user);
+  // Recipients looked up for queued mail
+  mock.method(User, 'find', () => ({ select: async () => [user] }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}/api/auth/forgot-password`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: 'ada@example.com' }),
+      }
+    );
+    assert.equal(response.status, 200);
+  } finally {
+    server.close();
+  }
+
+  const token = await readSentToken();
+  assert.equal(token.length, 64);
+  // The token's hash is stored, the token itself nowhere
+  assert.ok(stored.some((write) => write.includes('"hash"')));
+  assert.ok(stored.every((write) => !write.includes(token)));
+
+  await fs.rm(mailDir, { recursive: true, force: true });
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const eventId = id();
+const leaver = id();
+const waiting = id();
+const newcomer = id();
+
+const buildEvent = (fields) =>
+  new Event({
+    _id: eventId,
+    title: 'Meetup',
+    creator: id(),
+    creatorName: 'Organizer',
+    description: 'A small meetup',
+    location: 'Library',
+    dateTime: new Date('2030-01-07T18:00:00Z'),
+    maxAttendees: 1,
+    ...fields,
+  });
+
+// Answer the model's conditional writes in order, like the database would
+// for the state each test sets up, and keep their filters
+const scriptWrites = (t, results) => {
+  const filters = [];
+  t.mock.method(Event, 'findOneAndUpdate', async (filter) => {
+    filters.push(filter);
+    return results.shift() ?? null;
+  });
+  return filters;
+};
+
+// Record the users' joinedEvents updates; `fail` picks the ones that throw
+const mockJoinedEvents = (t, fail = () => false) => {
+  const updates = [];
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    updates.push({ user: filter._id, update });
+    if (fail(update)) throw new Error('write failed');
+    return { modifiedCount: 1 };
+  });
+  return updates;
+};
+
+test('leaving a full event hands the seat to the next in line', async (t) => {
+  const full = buildEvent({
+    attendees: [leaver],
+    waitlist: [{ user: waiting }],
+  });
+  const filters = scriptWrites(t, [full, full]);
+  const updates = mockJoinedEvents(t);
+  const after = buildEvent({ attendees: [waiting] });
+  t.mock.method(Event, 'findById', async () => after);
+
+  const result = await Event.leave(eventId, leaver);
+
+  assert.equal(result.previousStatus, 'attending');
+  assert.deepEqual(result.promoted, [waiting]);
+  assert.equal(result.event, after);
+  // Unseat, promote, then find nobody else waiting
+  assert.equal(filters.length, 3);
+  assert.deepEqual(filters[0], { _id: eventId, attendees: leaver });
+  assert.deepEqual(
+    updates.map(({ user, update }) => [user, Object.keys(update)[0]]),
+    [
+      [leaver, '$pull'],
+      [waiting, '$addToSet'],
+    ]
+  );
+});
+
+test("the promoted user's failed update still completes the leave", async (t) => {
+  const full = buildEvent({
+    attendees: [leaver],
+    waitlist: [{ user: waiting }],
+  });
+  scriptWrites(t, [full, full]);
+  mockJoinedEvents(t, (update) => Boolean(update.$addToSet));
+  const rollback = t.mock.method(Event, 'updateOne', async () => ({}));
+  t.mock.method(Event, 'findById', async () => buildEvent({}));
+  t.mock.method(console, 'error', () => {});
+
+  const result = await Event.leave(eventId, leaver);
+
+  assert.equal(result.previousStatus, 'attending');
+  assert.deepEqual(result.promoted, [waiting]);
+  assert.equal(rollback.mock.callCount(), 0);
+});
+
+test("the seat is given back when the leaver's update fails", async (t) => {
+  scriptWrites(t, [buildEvent({ attendees: [leaver] })]);
+  mockJoinedEvents(t, (update) => Boolean(update.$pull));
+  const rollback = t.mock.method(Event, 'updateOne', async () => ({}));
+
+  await assert.rejects(Event.leave(eventId, leaver), /write failed/);
+  assert.equal(rollback.mock.callCount(), 1);
+  assert.deepEqual(rollback.mock.calls[0].arguments[0], { _id: eventId });
+});
+
+test('leaving the waitlist promotes nobody', async (t) => {
+  const dequeued = buildEvent({ attendees: [leaver] });
+  // No seat to give up, then the waitlist place
+  scriptWrites(t, [null, dequeued]);
+  const updates = mockJoinedEvents(t);
+
+  const result = await Event.leave(eventId, waiting);
+
+  assert.deepEqual(result, {
+    event: dequeued,
+    previousStatus: 'waitlisted',
+    promoted: [],
+  });
+  assert.equal(updates.length, 0);
+});
+
+test('joining a full event queues the user on the waitlist', async (t) => {
+  const queued = buildEvent({
+    attendees: [leaver],
+    waitlist: [{ user: newcomer }],
+  });
+  // No free seat, then a waitlist place, then no seat frees up
+  const filters = scriptWrites(t, [null, queued]);
+  const updates = mockJoinedEvents(t);
+
+  const result = await Event.join(eventId, newcomer);
+
+  assert.equal(result.status, 'waitlisted');
+  assert.equal(filters.length, 3);
+  // Nobody jumps the line: seats are only taken while no one is waiting
+  assert.deepEqual(filters[0]['waitlist.0'], { $exists: false });
+  assert.equal(updates.length, 0);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../utils/csv.js';
+
+const columns = [{ key: 'value', label: 'Value' }];
+
+const cell = (value) => toCsv([{ value }], columns).split('\r\n')[1];
+
+test('text that would run as a formula is prefixed with a quote', () => {
+  assert.equal(cell('=HYPERLINK("http://x")'), `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(cell('+1+1'), "'+1+1");
+  assert.equal(cell('-2+3'), "'-2+3");
+  assert.equal(cell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(cell('\t=1'), "'\t=1");
+  assert.equal(cell('\r=1'), `"'\r=1"`);
+});
+
+test('ordinary values and numbers are left alone', () => {
+  assert.equal(cell('Ada Lovelace'), 'Ada Lovelace');
+  assert.equal(cell('a=b'), 'a=b');
+  assert.equal(cell(-5), '-5');
+  assert.equal(cell(null), '');
+  assert.equal(cell('Smith, Jane'), '"Smith, Jane"');
+});
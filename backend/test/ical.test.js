@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCalendar } from '../utils/ical.js';
+
+const calendar = (...lines) =>
+  [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    ...lines,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+test('colons in quoted parameters do not end the property name', () => {
+  const [event] = parseCalendar(
+    calendar(
+      'SUMMARY;LANGUAGE="en:GB":Launch: the sequel',
+      'DESCRIPTION:She said "see you: soon"'
+    )
+  );
+
+  assert.equal(event.title, 'Launch: the sequel');
+  assert.equal(event.description, 'She said "see you: soon"');
+});
+
+test('long lines full of colons and quotes parse in linear time', () => {
+  // Every colon is followed by an odd number of quotes, the worst case for
+  // looking ahead from each colon
+  const noise = '"":'.repeat(50000);
+  const started = Date.now();
+
+  const [event] = parseCalendar(calendar(`DESCRIPTION;X-NOTE=${noise}"`));
+
+  assert.ok(Date.now() - started < 1000);
+  assert.ok(event);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMail } from '../utils/mailTemplates.js';
+
+const user = { name: 'Ada' };
+
+const remind = (event, now) =>
+  renderMail('eventReminder', { user, event, now: new Date(now) }).subject;
+
+test('a reminder names the day and time the event starts', () => {
+  const event = {
+    _id: 'e1',
+    title: 'Standup',
+    location: 'Room 1',
+    dateTime: new Date('2030-01-08T09:30:00Z'),
+  };
+
+  assert.equal(
+    remind(event, '2030-01-07T12:00:00Z'),
+    'Reminder: Standup starts tomorrow at 9:30 AM'
+  );
+  assert.equal(
+    remind(event, '2030-01-08T08:30:00Z'),
+    'Reminder: Standup starts today at 9:30 AM'
+  );
+});
+
+test('days and times follow the series time zone', () => {
+  // 01:00 UTC is still the evening before in New York
+  const event = {
+    _id: 'e2',
+    title: 'Late show',
+    location: 'Theatre',
+    dateTime: new Date('2030-01-08T01:00:00Z'),
+    recurrence: { frequency: 'weekly', timeZone: 'America/New_York' },
+  };
+
+  assert.equal(
+    remind(event, '2030-01-07T02:00:00Z'),
+    'Reminder: Late show starts tomorrow at 8:00 PM'
+  );
+  assert.equal(
+    remind(event, '2030-01-07T14:00:00Z'),
+    'Reminder: Late show starts today at 8:00 PM'
+  );
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSeriesUpdates } from '../utils/recurrence.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const series = [
+  { _id: 'a', dateTime: new Date('2030-01-07T10:00:00Z') },
+  { _id: 'b', dateTime: new Date('2030-01-14T10:00:00Z') },
+  { _id: 'c', dateTime: new Date('2030-01-21T10:00:00Z') },
+];
+
+test('a title edit keeps each occurrence on its own date', () => {
+  // The edit form always sends the start, unchanged here
+  const writes = buildSeriesUpdates(
+    series[0],
+    series,
+    { title: 'New title', dateTime: new Date(series[0].dateTime) },
+    { timingChanged: true, durationMs: 2 * HOUR }
+  );
+
+  writes.forEach(({ updateOne }, index) => {
+    const { $set } = updateOne.update;
+    assert.equal(updateOne.filter._id, series[index]._id);
+    assert.equal($set.title, 'New title');
+    assert.equal($set.dateTime, undefined);
+    assert.equal(
+      $set.endTime.getTime(),
+      series[index].dateTime.getTime() + 2 * HOUR
+    );
+  });
+});
+
+test('a new start moves every occurrence by the same amount', () => {
+  const writes = buildSeriesUpdates(
+    series[0],
+    series,
+    { dateTime: new Date('2030-01-07T12:00:00Z') },
+    { timingChanged: true, durationMs: HOUR }
+  );
+
+  writes.forEach(({ updateOne }, index) => {
+    const { $set } = updateOne.update;
+    assert.equal(
+      $set.dateTime.getTime(),
+      series[index].dateTime.getTime() + 2 * HOUR
+    );
+    assert.equal($set.endTime.getTime(), $set.dateTime.getTime() + HOUR);
+  });
+});
+
+test('field edits without timing leave dates alone', () => {
+  const writes = buildSeriesUpdates(
+    series[0],
+    series,
+    { location: 'Room 2' },
+    { timingChanged: false, durationMs: HOUR }
+  );
+
+  writes.forEach(({ updateOne }) => {
+    assert.deepEqual(updateOne.update.$set, { location: 'Room 2' });
+  });
+});
@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV reader and writer: quoted fields, escaped quotes ("") and
+// newlines inside quotes are supported.
+
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by the header row
+export const parseCsv = (text) => {
+  const [header = [], ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map((key) => key.trim());
+
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()]))
+  );
+};
+
+// Text starting with one of these runs as a formula in spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // A leading quote keeps attendee-entered text inert; numbers are safe
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize objects into CSV using the given columns ({ key, label })
+export const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => escapeField(column.label)).join(','),
+    ...rows.map((row) =>
+      columns.map((column) => escapeField(row[column.key])).join(',')
+    ),
+  ].join('\r\n') + '\r\n';
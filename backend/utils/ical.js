@@ -0,0 +1,223 @@
+import { Buffer } from 'buffer';
+import { isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+import { getEventUrl } from './urls.js';
+
+// Minimal RFC 5545 support for moving events in and out of calendar apps
+
+const PRODUCT_ID = '-//Eventify//Eventify Event Management//EN';
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// 20250102T030405Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+export const getEventUid = (event) => `${event._id}@eventify`;
+
+const buildEvent = (event) => {
+  const start = new Date(event.dateTime);
+  const end = event.endTime
+    ? new Date(event.endTime)
+    : new Date(start.getTime() + DEFAULT_DURATION_MS);
+  const organizer = event.creator?.email
+    ? `ORGANIZER;CN="${(event.creator.name || event.creatorName).replace(/"/g, '')}":mailto:${event.creator.email}`
+    : null;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(event)}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `CATEGORIES:${escapeText(event.category)}`,
+    `URL:${getEventUrl(event._id)}`,
+    organizer,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    event.updatedAt ? `LAST-MODIFIED:${formatDate(event.updatedAt)}` : null,
+    'END:VEVENT',
+  ].filter(Boolean);
+};
+
+// Serialize events into a VCALENDAR document
+export const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    // Hint for subscribed feeds: refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Turn an event title into a safe download file name
+export const getCalendarFileName = (event) =>
+  `${
+    event.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'event'
+  }.ics`;
+
+// Reader used for imports. Only the VEVENT properties that map onto the
+// Event schema are picked up; everything else is ignored.
+
+const unescapeText = (value) =>
+  value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+// DATE (20250102), UTC (20250102T030405Z), zoned (TZID=...) or floating
+const parseDateValue = (value, params) => {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] =
+    match;
+  const wall = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+
+  if (utc) return zonedTimeToUtc(wall, 'UTC');
+
+  // Unknown zone names fall through to server local time
+  if (params.TZID && isValidTimeZone(params.TZID)) {
+    return zonedTimeToUtc(wall, params.TZID);
+  }
+
+  return new Date(Number(year), month - 1, day, hour, minute, second);
+};
+
+// Index of the colon ending the name and parameters, skipping colons in
+// quoted parameter values such as TZID="Europe/Paris:Summer". One pass, so
+// long lines cost no more than their length.
+const findValueSeparator = (line) => {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) return i;
+  }
+  return -1;
+};
+
+const parseProperty = (line) => {
+  const separator = findValueSeparator(line);
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = Object.fromEntries(
+    rawParams.map((param) => {
+      const [key, ...rest] = param.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    })
+  );
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+// Parse iCalendar text into plain event fields
+export const parseCalendar = (text) => {
+  const lines = text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const property = parseProperty(line);
+    if (!property) continue;
+
+    switch (property.name) {
+      case 'SUMMARY':
+        current.title = unescapeText(property.value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(property.value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(property.value);
+        break;
+      case 'CATEGORIES':
+        current.category = unescapeText(property.value)
+          .split(',')[0]
+          .trim()
+          .toLowerCase();
+        break;
+      case 'DTSTART': {
+        const date = parseDateValue(property.value, property.params);
+        current.dateTime = date ? date.toISOString() : property.value;
+        break;
+      }
+      case 'DTEND': {
+        const date = parseDateValue(property.value, property.params);
+        current.endTime = date ? date.toISOString() : property.value;
+        break;
+      }
+    }
+  }
+
+  return events;
+};
@@ -0,0 +1,185 @@
+import process from 'process';
+import { getWallDate } from './timezone.js';
+import { getClientUrl, getEventUrl } from './urls.js';
+
+// Email bodies for event and account mail. Each template takes plain data and returns
+// { subject, text, html }.
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Times are shown in the series' zone when the event has one, otherwise in
+// MAIL_TIME_ZONE (UTC by default)
+const getTimeZone = (event) =>
+  event.recurrence?.timeZone || process.env.MAIL_TIME_ZONE || 'UTC';
+
+const formatWhen = (event) => {
+  const timeZone = getTimeZone(event);
+  return new Date(event.dateTime).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  });
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the event starts as seen from `now`, e.g. "tomorrow at 9:30 AM",
+// counting days on the calendar of the event's zone
+const describeStart = (event, now) => {
+  const timeZone = getTimeZone(event);
+  const days = Math.round(
+    (Date.parse(getWallDate(event.dateTime, timeZone)) -
+      Date.parse(getWallDate(now, timeZone))) /
+      DAY_MS
+  );
+  const time = new Date(event.dateTime).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+  });
+
+  if (days === 0) return `today at ${time}`;
+  if (days === 1) return `tomorrow at ${time}`;
+  const day = new Date(event.dateTime).toLocaleDateString('en-US', {
+    weekday: 'long',
+    timeZone,
+  });
+  return `on ${day} at ${time}`;
+};
+
+// Shared layout: greeting, paragraphs, the event's details and a link to it
+const render = ({ subject, user, paragraphs, event }) => {
+  const url = getEventUrl(event._id);
+  const details = [
+    ['When', formatWhen(event)],
+    ['Where', event.location],
+  ];
+  const footer = `You can change which emails you get at ${getClientUrl()}/settings`;
+
+  const text = [
+    `Hi ${user.name},`,
+    ...paragraphs,
+    details.map(([label, value]) => `${label}: ${value}`).join('\n'),
+    `View the event: ${url}`,
+    footer,
+  ].join('\n\n');
+
+  const html = `<p>Hi ${escapeHtml(user.name)},</p>
+${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}
+<table>
+${details
+  .map(
+    ([label, value]) =>
+      `<tr><td><strong>${label}</strong></td><td>${escapeHtml(value)}</td></tr>`
+  )
+  .join('\n')}
+</table>
+<p><a href="${escapeHtml(url)}">View the event</a></p>
+<p style="color:#6b7280;font-size:12px">${escapeHtml(footer)}</p>`;
+
+  return { subject, text, html };
+};
+
+// Layout of account emails: greeting, paragraphs and one link to follow
+const renderAccount = ({ subject, user, paragraphs, link }) => {
+  const closing = "If you didn't ask for this, you can ignore this email.";
+
+  const text = [
+    `Hi ${user.name},`,
+    ...paragraphs,
+    `${link.label}: ${link.url}`,
+    closing,
+  ].join('\n\n');
+
+  const html = `<p>Hi ${escapeHtml(user.name)},</p>
+${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}
+<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>
+<p style="color:#6b7280;font-size:12px">${escapeHtml(closing)}</p>`;
+
+  return { subject, text, html };
+};
+
+export const MAIL_TEMPLATES = {
+  // Sent on join; `waitlisted` when the user only got a waitlist place
+  joinConfirmation: ({ user, event, waitlisted }) =>
+    render({
+      subject: waitlisted
+        ? `You're on the waitlist for ${event.title}`
+        : `You're going to ${event.title}`,
+      user,
+      event,
+      paragraphs: [
+        waitlisted
+          ? `You're on the waitlist for "${event.title}". You'll be moved up automatically if a seat opens up.`
+          : `You're registered for "${event.title}". See you there!`,
+      ],
+    }),
+
+  // Sent to participants when the organizer moves the event. `changes`
+  // describes what changed, e.g. `"Title" has a new time`.
+  eventChanged: ({ user, event, changes }) =>
+    render({
+      subject: `${event.title} has changed`,
+      user,
+      event,
+      paragraphs: [`${changes}. Here are the updated details.`],
+    }),
+
+  // Sent ahead of the start; `now` is when it goes out, which the wording
+  // is relative to
+  eventReminder: ({ user, event, now = new Date() }) => {
+    const start = describeStart(event, now);
+    return render({
+      subject: `Reminder: ${event.title} starts ${start}`,
+      user,
+      event,
+      paragraphs: [`Just a reminder that "${event.title}" starts ${start}.`],
+    });
+  },
+
+  // Sent on registration and on request; `token` goes into the link
+  emailVerification: ({ user, token }) =>
+    renderAccount({
+      subject: 'Confirm your email address',
+      user,
+      paragraphs: [
+        'Please confirm that this is your email address. The link works for 24 hours.',
+      ],
+      link: {
+        label: 'Confirm email address',
+        url: `${getClientUrl()}/verify-email?token=${token}`,
+      },
+    }),
+
+  // Sent from the forgot password form
+  passwordReset: ({ user, token }) =>
+    renderAccount({
+      subject: 'Reset your password',
+      user,
+      paragraphs: [
+        'We received a request to reset your password. The link works for 1 hour and only once.',
+      ],
+      link: {
+        label: 'Choose a new password',
+        url: `${getClientUrl()}/reset-password?token=${token}`,
+      },
+    }),
+};
+
+// Render a template by name for one recipient
+export const renderMail = (template, data) => {
+  if (!MAIL_TEMPLATES[template]) {
+    throw new Error(`Unknown mail template "${template}"`);
+  }
+  return MAIL_TEMPLATES[template](data);
+};
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import nodemailer from 'nodemailer';
+
+export const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+// Sender address on every message
+const getFrom = () =>
+  process.env.MAIL_FROM || 'Eventify <no-reply@eventify.local>';
+
+// Real delivery through an SMTP server
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return (message) => transporter.sendMail(message);
+};
+
+// Writes each message as an .eml file into MAIL_DIR, for local development
+// and tests that want to look at what would have been sent
+const createFileTransport = () => {
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+  const dir = process.env.MAIL_DIR || path.resolve('mail-outbox');
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.writeFile(path.join(dir, name), info.message);
+    return info;
+  };
+};
+
+// Logs a summary of each message instead of sending it
+const createConsoleTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return info;
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+// MAIL_TRANSPORT picks the transport; without it SMTP is used when a host is
+// configured and the console otherwise
+const getTransportName = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  if (name) {
+    if (!MAIL_TRANSPORTS.includes(name)) {
+      throw new Error(
+        `Unknown MAIL_TRANSPORT "${name}", expected one of: ${MAIL_TRANSPORTS.join(', ')}`
+      );
+    }
+    return name;
+  }
+  return process.env.SMTP_HOST ? 'smtp' : 'console';
+};
+
+let send = null;
+
+// Send one message ({ to, subject, text, html }) through the configured
+// transport. Rejects when the transport fails so callers can retry.
+export const sendMail = (message) => {
+  if (!send) send = TRANSPORT_FACTORIES[getTransportName()]();
+  return send({ from: getFrom(), ...message });
+};
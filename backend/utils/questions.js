@@ -0,0 +1,103 @@
+import { body } from 'express-validator';
+import { QUESTION_TYPES } from '../models/Event.js';
+
+// Organizer-defined questions (registration forms, feedback surveys) and the
+// answers people give to them
+
+const MAX_QUESTIONS = 10;
+const MAX_QUESTION_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 500;
+
+// Validation for a list of questions sent in `field` when an organizer
+// creates or edits an event
+export const buildQuestionValidation = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: MAX_QUESTIONS })
+    .withMessage(`Up to ${MAX_QUESTIONS} questions are allowed`),
+  body(`${field}.*.label`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Questions must be between 1 and 200 characters'),
+  body(`${field}.*.type`)
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`),
+  body(`${field}.*.required`)
+    .optional()
+    .isBoolean()
+    .withMessage('Required must be true or false')
+    .toBoolean(),
+  body(`${field}.*.options`)
+    .optional()
+    .isArray({ max: MAX_QUESTION_OPTIONS })
+    .withMessage(`Up to ${MAX_QUESTION_OPTIONS} options are allowed`),
+  body(`${field}.*.options.*`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Options must be between 1 and 100 characters'),
+  body(`${field}.*`).custom((question) => {
+    const options = question.options || [];
+    if (question.type === 'single' || question.type === 'multiple') {
+      if (options.length < 2) {
+        throw new Error(`"${question.label}" needs at least two options`);
+      }
+      if (new Set(options).size !== options.length) {
+        throw new Error(`"${question.label}" has duplicate options`);
+      }
+    }
+    return true;
+  }),
+];
+
+// Answers to an event's questions, keyed by question id under `answers`.
+// The rules depend on the event, so the chains are built per request.
+export const buildAnswerValidation = (questions) =>
+  questions.map((question) => {
+    const field = body(`answers.${question._id}`);
+    const chain = question.required
+      ? field
+          .exists({ values: 'falsy' })
+          .withMessage(`"${question.label}" is required`)
+          .bail()
+      : field.optional({ values: 'falsy' });
+
+    if (question.type === 'multiple') {
+      return chain
+        .isArray({ min: question.required ? 1 : 0 })
+        .withMessage(`"${question.label}" needs at least one choice`)
+        .bail()
+        .custom((values) =>
+          values.every((value) => question.options.includes(value))
+        )
+        .withMessage(`"${question.label}" has an invalid choice`);
+    }
+
+    if (question.type === 'single') {
+      return chain
+        .isIn(question.options)
+        .withMessage(`"${question.label}" has an invalid choice`);
+    }
+
+    return chain
+      .isString()
+      .trim()
+      .isLength({ max: MAX_ANSWER_LENGTH })
+      .withMessage(
+        `"${question.label}" must not exceed ${MAX_ANSWER_LENGTH} characters`
+      );
+  });
+
+// Stored form of validated answers; unanswered questions are left out
+export const getAnswers = (questions, answers = {}) =>
+  questions
+    .filter((question) => {
+      const value = answers[question._id];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    })
+    .map((question) => ({
+      question: question._id,
+      value: answers[question._id],
+    }));
@@ -0,0 +1,77 @@
+// Server-Sent Events channel pushing event changes to open pages. Clients
+// are held in memory, so each server only reaches its own connections.
+
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+let heartbeat = null;
+
+// Fields everyone may see for a public event; other events only share
+// their counts, which is all the pages need to stay current
+const PUBLIC_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'dateTime',
+  'endTime',
+  'category',
+  'maxAttendees',
+  'cancelledAt',
+  'cancellationReason',
+  'rating',
+];
+
+// What a change to an event broadcasts about it
+export const toLiveEvent = (event) => {
+  const live = {
+    _id: event._id,
+    status: event.status,
+    attendeeCount: event.attendeeCount,
+    rsvpCounts: event.rsvpCounts,
+  };
+
+  if (event.visibility === 'public') {
+    PUBLIC_FIELDS.forEach((field) => {
+      live[field] = event[field];
+    });
+  }
+
+  return live;
+};
+
+// Turn a request into a stream that receives every broadcast until the
+// client disconnects
+export const addClient = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  clients.add(res);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      clients.forEach((client) => client.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+  }
+
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+};
+
+// Send a named message, e.g. "event.updated", to every connected client
+export const broadcast = (type, data) => {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach((client) => client.write(message));
+};
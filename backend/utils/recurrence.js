@@ -0,0 +1,104 @@
+import { getWallDate, getWallTime, zonedTimeToUtc } from './timezone.js';
+
+// Expansion of simple recurrence rules into concrete occurrence dates.
+// Occurrences keep the same wall-clock time in the organizer's time zone, so
+// a 10:00 weekly standup stays at 10:00 across daylight saving changes.
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+export const MAX_OCCURRENCES = 100;
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Wall-clock time of the nth step from the start, or null when the step
+// falls on a day that does not exist (e.g. the 31st in a 30-day month)
+const stepWallTime = (start, frequency, steps) => {
+  if (frequency === 'monthly') {
+    const monthIndex = start.month - 1 + steps;
+    const year = start.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    if (start.day > daysInMonth(year, month)) return null;
+    return { ...start, year, month };
+  }
+
+  const days = frequency === 'weekly' ? steps * 7 : steps;
+  const date = new Date(
+    Date.UTC(start.year, start.month - 1, start.day + days)
+  );
+  return {
+    ...start,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+// Dates for every occurrence of the rule, starting with `start` itself.
+// `until` and `exceptions` are YYYY-MM-DD dates in the rule's time zone; like
+// RFC 5545 COUNT, `count` includes occurrences later removed as exceptions.
+export const expandRecurrence = (start, rule) => {
+  const {
+    frequency,
+    interval = 1,
+    until = null,
+    count = null,
+    exceptions = [],
+    timeZone = 'UTC',
+  } = rule;
+
+  const startWall = getWallTime(start, timeZone);
+  const skipped = new Set(exceptions);
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let generated = 0, step = 0; generated < limit; step += interval) {
+    const wall = stepWallTime(startWall, frequency, step);
+    if (!wall) continue;
+
+    const date = zonedTimeToUtc(wall, timeZone);
+    const wallDate = getWallDate(date, timeZone);
+    if (until && wallDate > until) break;
+
+    generated++;
+    if (!skipped.has(wallDate)) dates.push(date);
+  }
+
+  return dates;
+};
+
+// Writes for a "this and all future" edit of `event`'s series. Plain field
+// changes apply to every target as they are, but each occurrence keeps its
+// own date: a new start moves all of them by the same amount, and when the
+// timing changed each one ends `durationMs` after its own start.
+export const buildSeriesUpdates = (
+  event,
+  targets,
+  updates,
+  { timingChanged, durationMs }
+) => {
+  const fields = { ...updates };
+  delete fields.dateTime;
+  delete fields.endTime;
+  const shift = updates.dateTime
+    ? updates.dateTime.getTime() - event.dateTime.getTime()
+    : 0;
+
+  return targets.map((target) => {
+    const targetStart = new Date(target.dateTime.getTime() + shift);
+    return {
+      updateOne: {
+        filter: { _id: target._id },
+        update: {
+          $set: {
+            ...fields,
+            ...(shift && { dateTime: targetStart }),
+            ...(timingChanged && {
+              endTime: new Date(targetStart.getTime() + durationMs),
+            }),
+          },
+          $inc: { sequence: 1 },
+        },
+      },
+    };
+  });
+};
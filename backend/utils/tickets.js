@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import process from 'process';
+import jwt from 'jsonwebtoken';
+
+// Event tickets are JWTs signed with the same secret as auth tokens but with
+// their own audience and no `userId` claim, so a ticket can never be used to
+// authenticate API requests.
+const TICKET_AUDIENCE = 'eventify:ticket';
+
+const getSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+export const signTicket = (eventId, userId) =>
+  jwt.sign({ evt: eventId.toString() }, getSecret(), {
+    subject: userId.toString(),
+    audience: TICKET_AUDIENCE,
+  });
+
+// Returns { eventId, userId } or null for anything that is not a valid ticket
+export const verifyTicket = (ticket) => {
+  try {
+    const decoded = jwt.verify(ticket, getSecret(), {
+      audience: TICKET_AUDIENCE,
+    });
+    return { eventId: decoded.evt, userId: decoded.sub };
+  } catch {
+    return null;
+  }
+};
+
+// Short code printed under the QR code for typing in by hand, e.g. 7KQ2-M9XD
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+export const getTicketCode = (eventId, userId) => {
+  const digest = crypto
+    .createHmac('sha256', getSecret())
+    .update(`${eventId}:${userId}`)
+    .digest();
+  const chars = Array.from(
+    digest.subarray(0, 8),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+export const normalizeTicketCode = (code) =>
+  code
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '')
+    .replace(/^(.{4})(.{4})$/, '$1-$2');
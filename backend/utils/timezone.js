@@ -0,0 +1,65 @@
+// Wall-clock <-> instant conversion for IANA time zones using Intl only
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+// Throws a RangeError for unknown zone names
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts ({ year, month, day, hour, minute, second }, month 1-12)
+// of an instant in the given zone
+export const getWallTime = (date, timeZone) =>
+  Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(new Date(date))
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+// Wall-clock time in the zone encoded as if it were UTC, in ms
+const toWallMs = ({ year, month, day, hour, minute, second }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second);
+
+// The instant at which the zone's clocks show the given wall-clock time
+export const zonedTimeToUtc = (wall, timeZone) => {
+  const wallMs = toWallMs(wall);
+  // Second pass corrects the offset when the first guess crosses a DST change
+  let utc = wallMs - (toWallMs(getWallTime(wallMs, timeZone)) - wallMs);
+  utc = wallMs - (toWallMs(getWallTime(utc, timeZone)) - utc);
+  return new Date(utc);
+};
+
+// YYYY-MM-DD of an instant in the given zone
+export const getWallDate = (date, timeZone) => {
+  const { year, month, day } = getWallTime(date, timeZone);
+  return [
+    year,
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0'),
+  ].join('-');
+};
@@ -0,0 +1,10 @@
+import process from 'process';
+
+// Links into the React app, e.g. for calendar entries and invitations
+export const getClientUrl = () =>
+  process.env.CLIENT_URL || 'http://localhost:5173';
+
+export const getEventUrl = (eventId, query = {}) => {
+  const search = new URLSearchParams(query).toString();
+  return `${getClientUrl()}/events/${eventId}${search ? `?${search}` : ''}`;
+};
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import net from 'net';
+import process from 'process';
+import { getEventUrl } from './urls.js';
+
+// Payload shapes and signing for outgoing webhooks
+
+// Event fields sent in every event and attendee payload
+const EVENT_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'dateTime',
+  'endTime',
+  'category',
+  'visibility',
+  'status',
+  'maxAttendees',
+  'attendeeCount',
+  'rsvpCounts',
+  'cancelledAt',
+  'cancellationReason',
+  'seriesId',
+];
+
+export const toWebhookEvent = (event) => {
+  const data = { _id: event._id, url: getEventUrl(event._id) };
+  EVENT_FIELDS.forEach((field) => {
+    data[field] = event[field] ?? null;
+  });
+  return data;
+};
+
+// The person who joined or left. `status` is where they are now or were
+// before leaving: "attending" or "waitlisted".
+export const toWebhookAttendee = (user, status, guests = []) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  status,
+  guests,
+});
+
+// Receivers check X-Eventify-Signature by computing the same HMAC over
+// "<X-Eventify-Timestamp>.<raw body>" with their secret. The timestamp lets
+// them reject replayed requests.
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')}`;
+
+// Loopback, private, link-local (cloud metadata lives there), shared,
+// multicast and reserved ranges. Endpoints there are refused so a webhook
+// can't be pointed at services inside our network.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4-mapped addresses not written in dotted form
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+);
+
+// Whether an IP address is one webhooks must not reach. Set
+// WEBHOOK_ALLOW_PRIVATE_URLS=true to test against a local receiver.
+export const isBlockedAddress = (address) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return false;
+
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Why a webhook URL's host is refused before any lookup, or null. Names are
+// checked again against the addresses they resolve to when delivering.
+export const getBlockedHostError = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIP(host)) {
+    return isBlockedAddress(host)
+      ? `${host} is a private or reserved address`
+      : null;
+  }
+  if (
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true' &&
+    (host === 'localhost' || host.endsWith('.localhost'))
+  ) {
+    return `${host} is a local address`;
+  }
+  return null;
+};
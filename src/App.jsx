@@ -3,21 +3,36 @@ import {
   Routes,
   Route,
   Navigate,
+  useLocation,
 } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Navbar from './components/common/Navbar';
 import Footer from './components/common/Footer';
 import PrivateRoute from './components/common/PrivateRoute';
+import VerifyEmailBanner from './components/common/VerifyEmailBanner';
 import HomePage from './pages/HomePage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import EventsPage from './pages/EventsPage';
+import EventDetailPage from './pages/EventDetailPage';
 import AddEventPage from './pages/AddEventPage';
 import MyEventsPage from './pages/MyEventsPage';
+import JoinedEventsPage from './pages/JoinedEventsPage';
+import ImportEventsPage from './pages/ImportEventsPage';
+import CheckInPage from './pages/CheckInPage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import OrganizerPage from './pages/OrganizerPage';
+import SettingsPage from './pages/SettingsPage';
+import WebhooksPage from './pages/WebhooksPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 
-// Component to redirect authenticated users away from auth pages
+// Component to redirect authenticated users away from auth pages, back to
+// where they were sent from when a login was required
 const PublicRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -27,7 +42,11 @@ const PublicRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? <Navigate to="/events" replace /> : children;
+  return isAuthenticated ? (
+    <Navigate to={location.state?.from || '/events'} replace />
+  ) : (
+    children
+  );
 };
 
 function AppContent() {
@@ -35,6 +54,7 @@ function AppContent() {
     <Router>
       <div className="min-h-screen bg-gray-50 flex flex-col">
         <Navbar />
+        <VerifyEmailBanner />
         <main className="flex-grow">
           <Routes>
             <Route path="/" element={<HomePage />} />
@@ -55,10 +75,23 @@ function AppContent() {
               }
             />
             <Route
-              path="/events"
+              path="/forgot-password"
+              element={
+                <PublicRoute>
+                  <ForgotPasswordPage />
+                </PublicRoute>
+              }
+            />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
+            <Route path="/events" element={<EventsPage />} />
+            <Route path="/events/:id" element={<EventDetailPage />} />
+            <Route path="/organizers/:id" element={<OrganizerPage />} />
+            <Route
+              path="/events/:id/check-in"
               element={
                 <PrivateRoute>
-                  <EventsPage />
+                  <CheckInPage />
                 </PrivateRoute>
               }
             />
@@ -70,6 +103,14 @@ function AppContent() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/import-events"
+              element={
+                <PrivateRoute>
+                  <ImportEventsPage />
+                </PrivateRoute>
+              }
+            />
             <Route
               path="/my-events"
               element={
@@ -78,6 +119,46 @@ function AppContent() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/joined-events"
+              element={
+                <PrivateRoute>
+                  <JoinedEventsPage />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/analytics"
+              element={
+                <PrivateRoute>
+                  <AnalyticsPage />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/analytics/:id"
+              element={
+                <PrivateRoute>
+                  <AnalyticsPage />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/settings"
+              element={
+                <PrivateRoute>
+                  <SettingsPage />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/webhooks"
+              element={
+                <PrivateRoute>
+                  <WebhooksPage />
+                </PrivateRoute>
+              }
+            />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </main>
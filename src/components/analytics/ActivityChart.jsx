@@ -0,0 +1,52 @@
+const SERIES = [
+  { key: 'views', label: 'Views', color: 'bg-primary-300' },
+  { key: 'joins', label: 'Joins', color: 'bg-green-500' },
+  { key: 'leaves', label: 'Leaves', color: 'bg-red-400' },
+];
+
+// Daily views, joins and leaves as grouped bars, scaled to the busiest day
+const ActivityChart = ({ timeline }) => {
+  const max = Math.max(
+    1,
+    ...timeline.flatMap((day) => SERIES.map((series) => day[series.key]))
+  );
+
+  return (
+    <div>
+      <div className="flex items-end h-40 gap-px border-b border-gray-200">
+        {timeline.map((day) => (
+          <div
+            key={day.date}
+            className="flex-1 flex items-end justify-center gap-px h-full"
+            title={`${day.date}: ${SERIES.map(
+              (series) => `${day[series.key]} ${series.label.toLowerCase()}`
+            ).join(', ')}`}>
+            {SERIES.map((series) => (
+              <div
+                key={series.key}
+                className={`${series.color} w-full max-w-2 rounded-t-sm`}
+                style={{ height: `${(day[series.key] / max) * 100}%` }}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{timeline[0]?.date}</span>
+        <span>{timeline[timeline.length - 1]?.date}</span>
+      </div>
+      <div className="flex space-x-4 mt-2">
+        {SERIES.map((series) => (
+          <span
+            key={series.key}
+            className="inline-flex items-center text-xs text-gray-600">
+            <span className={`w-3 h-3 rounded-sm mr-1 ${series.color}`} />
+            {series.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityChart;
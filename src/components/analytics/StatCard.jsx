@@ -0,0 +1,9 @@
+const StatCard = ({ label, value, hint }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="mt-1 text-2xl font-semibold text-gray-900">{value}</p>
+    {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
+export default StatCard;
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { user, isAuthenticated, logout } = useAuth();
@@ -36,15 +37,16 @@ const Navbar = () => {
               Home
             </Link>
 
+            <Link
+              to="/events"
+              className={
+                isActive('/events') ? 'navbar-item-active' : 'navbar-item'
+              }>
+              Events
+            </Link>
+
             {isAuthenticated ? (
               <>
-                <Link
-                  to="/events"
-                  className={
-                    isActive('/events') ? 'navbar-item-active' : 'navbar-item'
-                  }>
-                  Events
-                </Link>
                 <Link
                   to="/add-event"
                   className={
@@ -63,6 +65,15 @@ const Navbar = () => {
                   }>
                   My Events
                 </Link>
+                <Link
+                  to="/joined-events"
+                  className={
+                    isActive('/joined-events')
+                      ? 'navbar-item-active'
+                      : 'navbar-item'
+                  }>
+                  Joined Events
+                </Link>
               </>
             ) : null}
           </div>
@@ -70,7 +81,8 @@ const Navbar = () => {
           {/* User Profile / Auth */}
           <div className="flex items-center">
             {isAuthenticated ? (
-              <div className="relative">
+              <div className="relative flex items-center space-x-2">
+                <NotificationBell />
                 <button
                   onClick={() => setIsDropdownOpen(!isDropdownOpen)}
                   className="flex items-center space-x-2 p-2 rounded-full hover:bg-gray-100 transition-colors duration-200">
@@ -98,6 +110,12 @@ const Navbar = () => {
                       </p>
                       <p className="text-sm text-gray-500">{user?.email}</p>
                     </div>
+                    <Link
+                      to="/settings"
+                      onClick={() => setIsDropdownOpen(false)}
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors duration-200">
+                      Settings
+                    </Link>
                     <button
                       onClick={handleLogout}
                       className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors duration-200">
@@ -108,7 +126,10 @@ const Navbar = () => {
               </div>
             ) : (
               <div className="flex items-center space-x-4">
-                <Link to="/login" className="btn-secondary">
+                <Link
+                  to="/login"
+                  state={{ from: location.pathname }}
+                  className="btn-secondary">
                   Sign In
                 </Link>
                 <Link to="/register" className="btn-primary">
@@ -120,33 +141,48 @@ const Navbar = () => {
         </div>
 
         {/* Mobile Navigation */}
-        {isAuthenticated && (
-          <div className="md:hidden border-t border-gray-200 pt-2 pb-3">
-            <div className="flex flex-col space-y-1">
-              <Link
-                to="/events"
-                className={
-                  isActive('/events') ? 'navbar-item-active' : 'navbar-item'
-                }>
-                Events
-              </Link>
-              <Link
-                to="/add-event"
-                className={
-                  isActive('/add-event') ? 'navbar-item-active' : 'navbar-item'
-                }>
-                Add Event
-              </Link>
-              <Link
-                to="/my-events"
-                className={
-                  isActive('/my-events') ? 'navbar-item-active' : 'navbar-item'
-                }>
-                My Events
-              </Link>
-            </div>
+        <div className="md:hidden border-t border-gray-200 pt-2 pb-3">
+          <div className="flex flex-col space-y-1">
+            <Link
+              to="/events"
+              className={
+                isActive('/events') ? 'navbar-item-active' : 'navbar-item'
+              }>
+              Events
+            </Link>
+            {isAuthenticated && (
+              <>
+                <Link
+                  to="/add-event"
+                  className={
+                    isActive('/add-event')
+                      ? 'navbar-item-active'
+                      : 'navbar-item'
+                  }>
+                  Add Event
+                </Link>
+                <Link
+                  to="/my-events"
+                  className={
+                    isActive('/my-events')
+                      ? 'navbar-item-active'
+                      : 'navbar-item'
+                  }>
+                  My Events
+                </Link>
+                <Link
+                  to="/joined-events"
+                  className={
+                    isActive('/joined-events')
+                      ? 'navbar-item-active'
+                      : 'navbar-item'
+                  }>
+                  Joined Events
+                </Link>
+              </>
+            )}
           </div>
-        )}
+        </div>
       </div>
 
       {/* Backdrop for dropdown */}
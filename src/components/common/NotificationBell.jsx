@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+// How often the unread badge is refreshed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Notifications shown in the dropdown
+const DROPDOWN_LIMIT = 10;
+
+// Bell with an unread badge; opens the latest notifications
+const NotificationBell = () => {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await axios.get('/notifications/unread-count');
+      setUnreadCount(response.data.count);
+    } catch (err) {
+      console.error('Fetch unread count error:', err);
+    }
+  }, []);
+
+  // Also refreshed on navigation, which is when most changes happen
+  useEffect(() => {
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchUnreadCount, location.pathname]);
+
+  const handleOpen = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+
+    setIsOpen(true);
+    try {
+      setLoading(true);
+      const response = await axios.get('/notifications', {
+        params: { limit: DROPDOWN_LIMIT },
+      });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Fetch notifications error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (notification) => {
+    setIsOpen(false);
+    if (!notification.read) {
+      try {
+        await axios.post(`/notifications/${notification._id}/read`);
+        setNotifications((prev) =>
+          prev.map((item) =>
+            item._id === notification._id ? { ...item, read: true } : item
+          )
+        );
+        setUnreadCount((count) => Math.max(0, count - 1));
+      } catch (err) {
+        console.error('Mark notification read error:', err);
+      }
+    }
+    // Deleted events are no longer there to open
+    if (notification.event) navigate(`/events/${notification.event._id}`);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.post('/notifications/read-all');
+      setNotifications((prev) => prev.map((item) => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Mark all notifications read error:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleOpen}
+        className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100 transition-colors duration-200"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}>
+        <svg
+          className="h-6 w-6"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full text-xs font-medium bg-red-600 text-white">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-40"
+            onClick={() => setIsOpen(false)}
+          />
+          <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+            <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+              <p className="text-sm font-medium text-gray-900">Notifications</p>
+              {unreadCount > 0 && (
+                <button
+                  onClick={handleMarkAllRead}
+                  className="text-xs text-primary-600 hover:text-primary-700">
+                  Mark all as read
+                </button>
+              )}
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+              </div>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">
+                You&apos;re all caught up.
+              </p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto">
+                {notifications.map((notification) => (
+                  <li key={notification._id}>
+                    <button
+                      onClick={() => handleSelect(notification)}
+                      className={`w-full text-left px-4 py-3 border-b border-gray-100 last:border-0 hover:bg-gray-50 ${
+                        notification.read ? '' : 'bg-primary-50'
+                      }`}>
+                      <p
+                        className={`text-sm ${
+                          notification.read
+                            ? 'text-gray-600'
+                            : 'font-medium text-gray-900'
+                        }`}>
+                        {notification.message}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Reminder to confirm the email address, with a way to get a new link
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!isAuthenticated || !user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await axios.post('/auth/resend-verification');
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(
+        err.response?.data?.message || 'Failed to send verification email'
+      );
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2 text-sm text-yellow-800">
+        <span>
+          {message ||
+            `Please confirm your email address (${user.email}) using the link we sent you.`}
+        </span>
+        {!message && (
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={isSending}
+            className="font-medium underline hover:text-yellow-900">
+            {isSending ? 'Sending...' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { downloadFile, formatAnswer } from '../../utils/events';
+
+const AttendeeRoster = ({ event, onClose, onChange }) => {
+  const [attendees, setAttendees] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const applyRoster = useCallback(
+    (data) => {
+      setAttendees(data.attendees);
+      setWaitlist(data.waitlist);
+      onChange?.(event._id, data);
+    },
+    [event._id, onChange]
+  );
+
+  useEffect(() => {
+    const fetchRoster = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/events/${event._id}/attendees`);
+        applyRoster(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load attendees');
+        console.error('Fetch attendees error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRoster();
+  }, [event._id, applyRoster]);
+
+  const handleToggleCheckIn = async (attendee) => {
+    try {
+      const url = `/events/${event._id}/attendees/${attendee._id}/check-in`;
+      const response = attendee.checkedIn
+        ? await axios.delete(url)
+        : await axios.post(url);
+      applyRoster(response.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update check-in');
+    }
+  };
+
+  const handleRemove = async (attendee) => {
+    if (!window.confirm(`Remove ${attendee.name} from this event?`)) return;
+
+    try {
+      const response = await axios.delete(
+        `/events/${event._id}/attendees/${attendee._id}`
+      );
+      applyRoster(response.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove attendee');
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      await downloadFile(
+        `/events/${event._id}/attendees/export?format=${format}`,
+        `${event.title} attendees.${format}`
+      );
+    } catch (err) {
+      console.error('Export attendees error:', err);
+      alert('Failed to export attendees');
+    }
+  };
+
+  // Guests are found under their host
+  const matchesSearch = (person) => {
+    const term = searchTerm.trim().toLowerCase();
+    return (
+      !term ||
+      person.name?.toLowerCase().includes(term) ||
+      person.email?.toLowerCase().includes(term) ||
+      person.guests?.some((guest) => guest.toLowerCase().includes(term))
+    );
+  };
+
+  const checkedInCount = attendees.filter((a) => a.checkedIn).length;
+  const guestCount = attendees.reduce(
+    (total, attendee) => total + (attendee.guests?.length || 0),
+    0
+  );
+
+  const renderPerson = (person, actions) => (
+    <li
+      key={person._id}
+      className="flex items-center justify-between py-3 border-b border-gray-100 last:border-0">
+      <div className="flex items-center space-x-3 min-w-0">
+        {person.photoURL ? (
+          <img
+            src={person.photoURL}
+            alt={person.name}
+            className="w-8 h-8 rounded-full object-cover"
+          />
+        ) : (
+          <div className="w-8 h-8 bg-primary-600 rounded-full flex items-center justify-center flex-shrink-0">
+            <span className="text-white font-medium text-sm">
+              {person.name?.charAt(0)?.toUpperCase()}
+            </span>
+          </div>
+        )}
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            {person.name}
+          </p>
+          <p className="text-sm text-gray-500 truncate">{person.email}</p>
+          {person.answers
+            ?.filter((answer) => formatAnswer(answer.value))
+            .map((answer) => (
+              <p key={answer.question} className="text-xs text-gray-600">
+                <span className="font-medium">{answer.label}:</span>{' '}
+                {formatAnswer(answer.value)}
+              </p>
+            ))}
+          {person.guests?.length > 0 && (
+            <p className="text-xs text-gray-600 truncate">
+              +{person.guests.length}: {person.guests.join(', ')}
+            </p>
+          )}
+        </div>
+      </div>
+      <div className="flex items-center space-x-2 ml-4">{actions}</div>
+    </li>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Attendees</h3>
+            <p className="text-sm text-gray-500">{event.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close">
+            <svg
+              className="h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-3 mb-4">
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search by name or email..."
+            className="input-field flex-1"
+          />
+          <button
+            onClick={() => handleExport('csv')}
+            className="btn-secondary text-sm">
+            Export CSV
+          </button>
+          <button
+            onClick={() => handleExport('json')}
+            className="btn-secondary text-sm">
+            Export JSON
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-2">
+          {attendees.length} attending
+          {guestCount > 0 && ` (+${guestCount} guests)`} · {checkedInCount}{' '}
+          checked in
+          {waitlist.length > 0 && ` · ${waitlist.length} waitlisted`}
+        </p>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            {attendees.length === 0 && waitlist.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4 text-center">
+                Nobody has joined this event yet.
+              </p>
+            ) : (
+              <>
+                <ul>
+                  {attendees.filter(matchesSearch).map((attendee) =>
+                    renderPerson(
+                      attendee,
+                      <>
+                        <button
+                          onClick={() => handleToggleCheckIn(attendee)}
+                          className={`text-sm py-1 px-3 rounded-lg font-medium transition-colors duration-200 ${
+                            attendee.checkedIn
+                              ? 'bg-green-100 text-green-800 hover:bg-green-200'
+                              : 'bg-gray-200 text-gray-800 hover:bg-gray-300'
+                          }`}>
+                          {attendee.checkedIn ? 'Checked in' : 'Check in'}
+                        </button>
+                        <button
+                          onClick={() => handleRemove(attendee)}
+                          className="btn-danger text-sm py-1 px-3">
+                          Remove
+                        </button>
+                      </>
+                    )
+                  )}
+                </ul>
+
+                {waitlist.length > 0 && (
+                  <>
+                    <h4 className="text-sm font-medium text-gray-700 mt-4 mb-1">
+                      Waitlist
+                    </h4>
+                    <ul>
+                      {waitlist.filter(matchesSearch).map((entry) =>
+                        renderPerson(
+                          entry,
+                          <>
+                            <span className="text-xs text-gray-500">
+                              #{entry.waitlistPosition}
+                            </span>
+                            <button
+                              onClick={() => handleRemove(entry)}
+                              className="btn-danger text-sm py-1 px-3">
+                              Remove
+                            </button>
+                          </>
+                        )
+                      )}
+                    </ul>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttendeeRoster;
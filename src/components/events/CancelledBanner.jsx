@@ -0,0 +1,14 @@
+const CancelledBanner = ({ event }) => (
+  <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3">
+    <p className="text-sm font-medium text-red-800">
+      Cancelled
+      {event.cancelledAt &&
+        ` on ${new Date(event.cancelledAt).toLocaleDateString()}`}
+    </p>
+    {event.cancellationReason && (
+      <p className="text-sm text-red-700 mt-1">{event.cancellationReason}</p>
+    )}
+  </div>
+);
+
+export default CancelledBanner;
@@ -0,0 +1,297 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+import { getUserId } from '../../utils/events';
+
+// Message for a failed comment request, including validation errors
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.errors
+    ? err.response.data.errors.map((e) => e.msg).join(', ')
+    : err.response?.data?.message || fallback;
+
+// Textarea with submit/cancel used for new comments, replies and edits
+const CommentForm = ({
+  initialBody = '',
+  placeholder,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}) => {
+  const [body, setBody] = useState(initialBody);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const saved = await onSubmit(body.trim());
+    setIsSubmitting(false);
+    if (saved && !initialBody) setBody('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={2}
+        maxLength={2000}
+        placeholder={placeholder}
+        disabled={isSubmitting}
+        className="input-field"
+      />
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={isSubmitting || !body.trim()}
+          className="btn-primary text-sm py-1 px-3 disabled:opacity-50 disabled:cursor-not-allowed">
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="btn-secondary text-sm py-1 px-3">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Discussion and Q&A thread of an event. Anyone who can see the event can
+// read it; signed-in users post, reply and manage their own comments, and
+// the organizer pins answers.
+const EventComments = ({ event, isOrganizer, inviteToken }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // `reply-<id>` or `edit-<id>` for the comment whose form is open
+  const [openForm, setOpenForm] = useState(null);
+
+  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+  const userId = getUserId(user);
+  const canPost = isAuthenticated && event.status !== 'cancelled';
+  const params = inviteToken ? { invite: inviteToken } : {};
+  const baseUrl = `/events/${event._id}/comments`;
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await axios.get(`/events/${event._id}/comments`, {
+        params: inviteToken ? { invite: inviteToken } : {},
+      });
+      setComments(response.data.comments);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load comments');
+      console.error('Fetch comments error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [event._id, inviteToken]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // Every change answers with the whole discussion. Resolves to whether the
+  // request went through.
+  const send = async (request, fallback) => {
+    try {
+      const response = await request();
+      setComments(response.data.comments);
+      setOpenForm(null);
+      return true;
+    } catch (err) {
+      alert(getErrorMessage(err, fallback));
+      return false;
+    }
+  };
+
+  const handlePost = (body, parent = null) =>
+    send(
+      () => axios.post(baseUrl, { body, parent }, { params }),
+      'Failed to post comment'
+    );
+
+  const handleEdit = (comment, body) =>
+    send(
+      () => axios.put(`${baseUrl}/${comment._id}`, { body }, { params }),
+      'Failed to update comment'
+    );
+
+  const handleDelete = (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    send(
+      () => axios.delete(`${baseUrl}/${comment._id}`, { params }),
+      'Failed to delete comment'
+    );
+  };
+
+  const handlePin = (comment) =>
+    send(
+      () =>
+        axios.patch(
+          `${baseUrl}/${comment._id}/pin`,
+          { pinned: !comment.pinned },
+          { params }
+        ),
+      'Failed to pin comment'
+    );
+
+  const renderComment = (comment, isReply) => {
+    const isAuthor = Boolean(userId) && comment.user?._id === userId;
+
+    if (comment.deletedAt) {
+      return (
+        <p className="text-sm italic text-gray-400">
+          This comment was deleted.
+        </p>
+      );
+    }
+
+    return (
+      <div
+        className={
+          isReply && comment.pinned
+            ? 'bg-green-50 border border-green-200 rounded-md p-2'
+            : ''
+        }>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-900">
+            {comment.user?.name || 'Former member'}
+          </span>
+          {comment.byOrganizer && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+              Organizer
+            </span>
+          )}
+          {comment.pinned && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+              {isReply ? 'Answer' : 'Pinned'}
+            </span>
+          )}
+          <span className="text-xs text-gray-500">
+            {new Date(comment.createdAt).toLocaleString()}
+            {comment.editedAt && ' · edited'}
+          </span>
+        </div>
+
+        {openForm === `edit-${comment._id}` ? (
+          <div className="mt-2">
+            <CommentForm
+              initialBody={comment.body}
+              submitLabel="Save"
+              onSubmit={(body) => handleEdit(comment, body)}
+              onCancel={() => setOpenForm(null)}
+            />
+          </div>
+        ) : (
+          <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">
+            {comment.body}
+          </p>
+        )}
+
+        <div className="flex space-x-3 mt-1 text-xs">
+          {canPost && !isReply && (
+            <button
+              onClick={() => setOpenForm(`reply-${comment._id}`)}
+              className="text-primary-600 hover:text-primary-700">
+              Reply
+            </button>
+          )}
+          {isAuthor && (
+            <button
+              onClick={() => setOpenForm(`edit-${comment._id}`)}
+              className="text-gray-600 hover:text-gray-900">
+              Edit
+            </button>
+          )}
+          {isOrganizer && (
+            <button
+              onClick={() => handlePin(comment)}
+              className="text-gray-600 hover:text-gray-900">
+              {comment.pinned ? 'Unpin' : isReply ? 'Mark as answer' : 'Pin'}
+            </button>
+          )}
+          {(isAuthor || isOrganizer) && (
+            <button
+              onClick={() => handleDelete(comment)}
+              className="text-red-600 hover:text-red-700">
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {canPost ? (
+        <CommentForm
+          placeholder="Ask a question or leave a comment"
+          submitLabel="Post"
+          onSubmit={(body) => handlePost(body)}
+        />
+      ) : (
+        !isAuthenticated && (
+          <p className="text-sm text-gray-600">
+            <Link
+              to="/login"
+              state={{ from: location.pathname + location.search }}
+              className="text-primary-600 hover:text-primary-700">
+              Log in
+            </Link>{' '}
+            to join the discussion.
+          </p>
+        )
+      )}
+
+      {comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {comments.map((comment) => (
+            <li key={comment._id} className="py-3">
+              {renderComment(comment, false)}
+
+              {(comment.replies.length > 0 ||
+                openForm === `reply-${comment._id}`) && (
+                <ul className="mt-3 ml-6 pl-4 border-l-2 border-gray-100 space-y-3">
+                  {comment.replies.map((reply) => (
+                    <li key={reply._id}>{renderComment(reply, true)}</li>
+                  ))}
+                  {openForm === `reply-${comment._id}` && (
+                    <li>
+                      <CommentForm
+                        placeholder="Write a reply"
+                        submitLabel="Reply"
+                        onSubmit={(body) => handlePost(body, comment._id)}
+                        onCancel={() => setOpenForm(null)}
+                      />
+                    </li>
+                  )}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EventComments;
@@ -0,0 +1,329 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import RegistrationForm from './RegistrationForm';
+import StarRating from './StarRating';
+import { formatRating } from '../../utils/events';
+
+// Answers of a saved review in the shape RegistrationForm edits
+const toAnswerMap = (review) =>
+  Object.fromEntries(
+    (review?.answers || []).map((answer) => [answer.question, answer.value])
+  );
+
+// Ratings and reviews of a completed event. Attendees can leave or edit
+// their review (with the feedback survey); the organizer can hide reviews
+// and sees the survey results.
+const EventReviews = ({ event, isOrganizer, inviteToken }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [answers, setAnswers] = useState({});
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const applyReviews = useCallback((reviews) => {
+    setData(reviews);
+    setRating(reviews.myReview?.rating || 0);
+    setComment(reviews.myReview?.comment || '');
+    setAnswers(toAnswerMap(reviews.myReview));
+  }, []);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      const response = await axios.get(`/events/${event._id}/reviews`, {
+        params: inviteToken ? { invite: inviteToken } : {},
+      });
+      applyReviews(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load reviews');
+      console.error('Fetch reviews error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [event._id, inviteToken, applyReviews]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setFormError('');
+    try {
+      await axios.post(`/events/${event._id}/reviews`, {
+        rating,
+        comment,
+        answers,
+      });
+      setIsEditing(false);
+      await fetchReviews();
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setFormError(err.response.data.errors.map((e) => e.msg).join(', '));
+      } else {
+        setFormError(err.response?.data?.message || 'Failed to save review');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your review?')) return;
+
+    try {
+      await axios.delete(`/events/${event._id}/reviews`);
+      await fetchReviews();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete review');
+    }
+  };
+
+  const handleModerate = async (review) => {
+    try {
+      await axios.patch(
+        `/events/${event._id}/reviews/${review._id}/moderation`,
+        { hidden: !review.hidden }
+      );
+      await fetchReviews();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update review');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-700">{error}</p>;
+  }
+
+  const { myReview, canReview, distribution, reviews, survey } = data;
+  const showForm = canReview && (!myReview || isEditing);
+  const maxCount = Math.max(1, ...Object.values(distribution));
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="flex flex-col md:flex-row md:items-center gap-6">
+        <div className="text-center md:w-40">
+          <p className="text-4xl font-bold text-gray-900">
+            {data.rating.count > 0 ? formatRating(data.rating.average) : '–'}
+          </p>
+          <StarRating value={data.rating.average} />
+          <p className="text-xs text-gray-500 mt-1">
+            {data.rating.count} review{data.rating.count === 1 ? '' : 's'}
+          </p>
+        </div>
+        <div className="flex-1 space-y-1">
+          {Object.keys(distribution)
+            .reverse()
+            .map((stars) => (
+              <div key={stars} className="flex items-center text-xs">
+                <span className="w-4 text-gray-600">{stars}</span>
+                <div className="flex-1 h-2 mx-2 bg-gray-200 rounded-full">
+                  <div
+                    className="h-2 bg-yellow-400 rounded-full"
+                    style={{
+                      width: `${(distribution[stars] / maxCount) * 100}%`,
+                    }}
+                  />
+                </div>
+                <span className="w-6 text-right text-gray-500">
+                  {distribution[stars]}
+                </span>
+              </div>
+            ))}
+        </div>
+      </div>
+
+      {/* Own review */}
+      {showForm ? (
+        <form
+          onSubmit={handleSubmit}
+          className="border border-gray-200 rounded-md p-4 space-y-3">
+          <p className="text-sm font-medium text-gray-900">
+            {myReview ? 'Edit your review' : 'How was it?'}
+          </p>
+          <StarRating
+            value={rating}
+            onChange={setRating}
+            size="h-7 w-7"
+            disabled={isSubmitting}
+          />
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={3}
+            maxLength={2000}
+            placeholder="Tell others about the event (optional)"
+            disabled={isSubmitting}
+            className="input-field"
+          />
+          {event.feedbackQuestions?.length > 0 && (
+            <div>
+              <p className="text-sm text-gray-600 mb-2">
+                A few questions from the organizer:
+              </p>
+              <RegistrationForm
+                questions={event.feedbackQuestions}
+                answers={answers}
+                onChange={setAnswers}
+                disabled={isSubmitting}
+              />
+            </div>
+          )}
+          {formError && <p className="text-sm text-red-700">{formError}</p>}
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={isSubmitting || rating === 0}
+              className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+              {myReview ? 'Save review' : 'Submit review'}
+            </button>
+            {isEditing && (
+              <button
+                type="button"
+                onClick={() => {
+                  applyReviews(data);
+                  setIsEditing(false);
+                }}
+                className="btn-secondary text-sm">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      ) : (
+        myReview && (
+          <div className="border border-gray-200 rounded-md p-4">
+            <div className="flex items-center justify-between">
+              <p className="text-sm font-medium text-gray-900">Your review</p>
+              <div className="flex space-x-3 text-sm">
+                {canReview && (
+                  <button
+                    onClick={() => setIsEditing(true)}
+                    className="text-primary-600 hover:text-primary-700">
+                    Edit
+                  </button>
+                )}
+                <button
+                  onClick={handleDelete}
+                  className="text-red-600 hover:text-red-700">
+                  Delete
+                </button>
+              </div>
+            </div>
+            <StarRating value={myReview.rating} size="h-4 w-4" />
+            {myReview.comment && (
+              <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">
+                {myReview.comment}
+              </p>
+            )}
+            {myReview.hidden && (
+              <p className="text-xs text-gray-500 mt-2">
+                The organizer has hidden this review from other people.
+              </p>
+            )}
+          </div>
+        )
+      )}
+
+      {/* Survey results, organizer only */}
+      {survey?.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-2">
+            Survey results
+          </h3>
+          <div className="space-y-3">
+            {survey.map((result) => (
+              <div
+                key={result.question}
+                className="border border-gray-200 rounded-md p-3">
+                <p className="text-sm font-medium text-gray-800">
+                  {result.label}{' '}
+                  <span className="font-normal text-gray-500">
+                    ({result.responses} response
+                    {result.responses === 1 ? '' : 's'})
+                  </span>
+                </p>
+                {result.type === 'text' ? (
+                  <ul className="mt-1 space-y-1 text-sm text-gray-700 list-disc list-inside">
+                    {result.answers.map((answer, index) => (
+                      <li key={index}>{answer}</li>
+                    ))}
+                  </ul>
+                ) : (
+                  <ul className="mt-1 space-y-1 text-sm text-gray-700">
+                    {result.options.map((option) => (
+                      <li key={option.option} className="flex justify-between">
+                        <span>{option.option}</span>
+                        <span className="text-gray-500">{option.count}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Reviews */}
+      {reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">No reviews yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {reviews.map((review) => (
+            <li
+              key={review._id}
+              className={`py-3 ${review.hidden ? 'opacity-60' : ''}`}>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900">
+                    {review.user?.name || 'Former attendee'}
+                  </span>
+                  <StarRating value={review.rating} size="h-4 w-4" />
+                  {review.hidden && (
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-600">
+                      hidden
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3">
+                  <span className="text-xs text-gray-500">
+                    {new Date(review.createdAt).toLocaleDateString()}
+                  </span>
+                  {isOrganizer && (
+                    <button
+                      onClick={() => handleModerate(review)}
+                      className="text-xs text-gray-600 hover:text-gray-900">
+                      {review.hidden ? 'Show' : 'Hide'}
+                    </button>
+                  )}
+                </div>
+              </div>
+              {review.comment && (
+                <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">
+                  {review.comment}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EventReviews;
@@ -0,0 +1,20 @@
+const STATUS_STYLES = {
+  ongoing: { label: 'Happening now', className: 'bg-green-100 text-green-800' },
+  completed: { label: 'Ended', className: 'bg-gray-200 text-gray-700' },
+};
+
+// Upcoming is the normal state and cancelled events get a CancelledBanner,
+// so only ongoing and completed events are badged
+const EventStatusBadge = ({ status }) => {
+  const style = STATUS_STYLES[status];
+  if (!style) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+      {style.label}
+    </span>
+  );
+};
+
+export default EventStatusBadge;
@@ -0,0 +1,45 @@
+// Names of the guests a user brings, up to the event's per-attendee limit
+const GuestListEditor = ({ guests, maxGuests, onChange, disabled }) => {
+  const updateGuest = (index, name) =>
+    onChange(guests.map((guest, i) => (i === index ? name : guest)));
+
+  const removeGuest = (index) =>
+    onChange(guests.filter((guest, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {guests.map((guest, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={guest}
+            onChange={(e) => updateGuest(index, e.target.value)}
+            maxLength={100}
+            placeholder={`Guest ${index + 1} name`}
+            disabled={disabled}
+            className="input-field flex-1"
+          />
+          <button
+            type="button"
+            onClick={() => removeGuest(index)}
+            disabled={disabled}
+            className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+            aria-label={`Remove guest ${index + 1}`}>
+            Remove
+          </button>
+        </div>
+      ))}
+      {guests.length < maxGuests && (
+        <button
+          type="button"
+          onClick={() => onChange([...guests, ''])}
+          disabled={disabled}
+          className="text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50">
+          + Add a guest
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default GuestListEditor;
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  revoked: 'bg-gray-200 text-gray-600',
+};
+
+const InvitationManager = ({ event, onClose }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, accepted: 0, revoked: 0 });
+  const [emails, setEmails] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+
+  const applyInvitations = (data) => {
+    setInvitations(data.invitations);
+    setCounts(data.counts);
+  };
+
+  useEffect(() => {
+    const fetchInvitations = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/events/${event._id}/invitations`);
+        applyInvitations(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load invitations');
+        console.error('Fetch invitations error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitations();
+  }, [event._id]);
+
+  const createInvitations = async (emailList) => {
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await axios.post(`/events/${event._id}/invitations`, {
+        emails: emailList,
+      });
+      applyInvitations(response.data);
+      setEmails('');
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setError(err.response.data.errors.map((e) => e.msg).join(', '));
+      } else {
+        setError(err.response?.data?.message || 'Failed to invite');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleInviteEmails = (e) => {
+    e.preventDefault();
+    const emailList = emails
+      .split(/[\s,;]+/)
+      .map((email) => email.trim())
+      .filter(Boolean);
+    if (emailList.length > 0) createInvitations(emailList);
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm('Revoke this invitation? Its link will stop working.'))
+      return;
+
+    try {
+      const response = await axios.delete(
+        `/events/${event._id}/invitations/${invitation._id}`
+      );
+      applyInvitations(response.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
+  const handleCopy = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(invitation.url);
+      setCopiedId(invitation._id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Copy invitation error:', err);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Invitations</h3>
+            <p className="text-sm text-gray-500">{event.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close">
+            <svg
+              className="h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <form
+          onSubmit={handleInviteEmails}
+          className="flex flex-col gap-3 mb-4">
+          <textarea
+            value={emails}
+            onChange={(e) => setEmails(e.target.value)}
+            rows={2}
+            placeholder="Emails to invite, separated by commas"
+            className="input-field"
+          />
+          <div className="flex flex-col md:flex-row gap-3">
+            <button
+              type="submit"
+              disabled={isSubmitting || !emails.trim()}
+              className="btn-primary flex-1 disabled:opacity-50 disabled:cursor-not-allowed">
+              Invite emails
+            </button>
+            <button
+              type="button"
+              onClick={() => createInvitations([])}
+              disabled={isSubmitting}
+              className="btn-secondary flex-1 disabled:opacity-50 disabled:cursor-not-allowed">
+              Create single-use link
+            </button>
+          </div>
+        </form>
+
+        <p className="text-sm text-gray-600 mb-2">
+          {counts.pending} pending · {counts.accepted} accepted ·{' '}
+          {counts.revoked} revoked
+        </p>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : invitations.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4 text-center">
+            No invitations yet.
+          </p>
+        ) : (
+          <ul className="max-h-96 overflow-y-auto">
+            {invitations.map((invitation) => (
+              <li
+                key={invitation._id}
+                className="flex items-center justify-between py-3 border-b border-gray-100 last:border-0">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {invitation.email || 'Open link'}
+                    </p>
+                    <span
+                      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[invitation.status]}`}>
+                      {invitation.status}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 truncate">
+                    {invitation.acceptedBy
+                      ? `Accepted by ${invitation.acceptedBy.name} on ${new Date(invitation.acceptedAt).toLocaleDateString()}`
+                      : `Created ${new Date(invitation.createdAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                {invitation.status !== 'revoked' && (
+                  <div className="flex items-center space-x-2 ml-4">
+                    {invitation.status === 'pending' && (
+                      <button
+                        onClick={() => handleCopy(invitation)}
+                        className="btn-secondary text-sm py-1 px-3">
+                        {copiedId === invitation._id ? 'Copied!' : 'Copy link'}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleRevoke(invitation)}
+                      className="btn-danger text-sm py-1 px-3">
+                      Revoke
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InvitationManager;
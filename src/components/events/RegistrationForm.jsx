@@ -0,0 +1,90 @@
+// Attendee-side form for an event's registration or survey questions.
+// `answers` maps question ids to a string, or an array of strings for
+// multiple choice.
+const RegistrationForm = ({ questions, answers, onChange, disabled }) => {
+  const setAnswer = (questionId, value) =>
+    onChange({ ...answers, [questionId]: value });
+
+  const toggleChoice = (questionId, option) => {
+    const selected = answers[questionId] || [];
+    setAnswer(
+      questionId,
+      selected.includes(option)
+        ? selected.filter((value) => value !== option)
+        : [...selected, option]
+    );
+  };
+
+  const renderInput = (question) => {
+    const id = `question-${question._id}`;
+
+    if (question.type === 'single') {
+      return (
+        <select
+          id={id}
+          value={answers[question._id] || ''}
+          onChange={(e) => setAnswer(question._id, e.target.value)}
+          disabled={disabled}
+          className="input-field">
+          <option value="">Choose one</option>
+          {question.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (question.type === 'multiple') {
+      return (
+        <div id={id} className="space-y-1">
+          {question.options.map((option) => (
+            <label
+              key={option}
+              className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={(answers[question._id] || []).includes(option)}
+                onChange={() => toggleChoice(question._id, option)}
+                disabled={disabled}
+                className="mr-2"
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    return (
+      <input
+        id={id}
+        type="text"
+        value={answers[question._id] || ''}
+        onChange={(e) => setAnswer(question._id, e.target.value)}
+        maxLength={500}
+        disabled={disabled}
+        className="input-field"
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      {questions.map((question) => (
+        <div key={question._id}>
+          <label
+            htmlFor={`question-${question._id}`}
+            className="block text-sm font-medium text-gray-700 mb-1">
+            {question.label}
+            {question.required && <span className="text-red-600"> *</span>}
+          </label>
+          {renderInput(question)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RegistrationForm;
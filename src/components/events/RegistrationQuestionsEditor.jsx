@@ -0,0 +1,97 @@
+import { MAX_QUESTIONS, QUESTION_TYPE_OPTIONS } from '../../utils/events';
+
+const EMPTY_QUESTION = {
+  label: '',
+  type: 'text',
+  options: [],
+  required: false,
+};
+
+// Organizer-side editor for the questions attendees answer, on registration
+// or in the feedback survey
+const RegistrationQuestionsEditor = ({
+  questions,
+  onChange,
+  placeholder = 'Question, e.g. Dietary requirements',
+}) => {
+  const updateQuestion = (index, changes) =>
+    onChange(
+      questions.map((question, i) =>
+        i === index ? { ...question, ...changes } : question
+      )
+    );
+
+  const removeQuestion = (index) =>
+    onChange(questions.filter((question, i) => i !== index));
+
+  return (
+    <div className="space-y-3">
+      {questions.map((question, index) => (
+        <div
+          key={question._id || index}
+          className="border border-gray-200 rounded-md p-3 space-y-2">
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={question.label}
+              onChange={(e) => updateQuestion(index, { label: e.target.value })}
+              maxLength={200}
+              placeholder={placeholder}
+              className="input-field flex-1"
+            />
+            <select
+              value={question.type}
+              onChange={(e) => updateQuestion(index, { type: e.target.value })}
+              className="input-field w-44">
+              {QUESTION_TYPE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {question.type !== 'text' && (
+            <textarea
+              value={question.options.join('\n')}
+              onChange={(e) =>
+                updateQuestion(index, { options: e.target.value.split('\n') })
+              }
+              rows={3}
+              placeholder="One option per line"
+              className="input-field"
+            />
+          )}
+          <div className="flex items-center justify-between">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={question.required}
+                onChange={(e) =>
+                  updateQuestion(index, { required: e.target.checked })
+                }
+                className="mr-2"
+              />
+              Required
+            </label>
+            <button
+              type="button"
+              onClick={() => removeQuestion(index)}
+              className="text-sm text-red-600 hover:text-red-700">
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+      {questions.length < MAX_QUESTIONS && (
+        <button
+          type="button"
+          onClick={() => onChange([...questions, EMPTY_QUESTION])}
+          className="text-sm text-primary-600 hover:text-primary-700">
+          + Add a question
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RegistrationQuestionsEditor;
@@ -0,0 +1,62 @@
+const OPTIONS = [
+  {
+    value: 'going',
+    label: 'Going',
+    activeClass: 'bg-green-600 text-white border-green-600',
+  },
+  {
+    value: 'maybe',
+    label: 'Maybe',
+    activeClass: 'bg-yellow-500 text-white border-yellow-500',
+  },
+  {
+    value: 'declined',
+    label: "Can't go",
+    activeClass: 'bg-gray-600 text-white border-gray-600',
+  },
+];
+
+// Going / Maybe / Can't go buttons with the user's current answer selected
+const RsvpControl = ({ participation, isFull, onChange, disabled }) => (
+  <div className="flex flex-col items-start gap-1">
+    <div className="inline-flex rounded-md shadow-sm" role="group">
+      {OPTIONS.map((option, index) => {
+        const isActive = participation.rsvp === option.value;
+
+        return (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => !isActive && onChange(option.value)}
+            disabled={disabled}
+            aria-pressed={isActive}
+            className={`px-3 py-1.5 text-sm font-medium border disabled:opacity-50 disabled:cursor-not-allowed ${
+              index === 0 ? 'rounded-l-md' : '-ml-px'
+            } ${index === OPTIONS.length - 1 ? 'rounded-r-md' : ''} ${
+              isActive
+                ? option.activeClass
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}>
+            {option.label}
+          </button>
+        );
+      })}
+    </div>
+    {participation.status === 'waitlisted' ? (
+      <span className="text-xs text-yellow-800">
+        Waitlisted #{participation.waitlistPosition}
+      </span>
+    ) : participation.rsvp === 'invited' ? (
+      <span className="text-xs text-gray-500">You&apos;re invited</span>
+    ) : (
+      !participation.status &&
+      isFull && (
+        <span className="text-xs text-gray-500">
+          Full: going joins the waitlist
+        </span>
+      )
+    )}
+  </div>
+);
+
+export default RsvpControl;
@@ -0,0 +1,50 @@
+const STARS = [1, 2, 3, 4, 5];
+
+const StarIcon = ({ className }) => (
+  <svg className={className} viewBox="0 0 20 20" fill="currentColor">
+    <path d="M9.05 2.93c.3-.92 1.6-.92 1.9 0l1.07 3.29a1 1 0 00.95.69h3.46c.97 0 1.37 1.24.59 1.81l-2.8 2.03a1 1 0 00-.36 1.12l1.07 3.29c.3.92-.76 1.69-1.54 1.12l-2.8-2.03a1 1 0 00-1.18 0l-2.8 2.03c-.78.57-1.84-.2-1.54-1.12l1.07-3.29a1 1 0 00-.36-1.12L2.98 8.72c-.78-.57-.38-1.81.59-1.81h3.46a1 1 0 00.95-.69l1.07-3.29z" />
+  </svg>
+);
+
+// Five stars filled up to `value` (rounded to the nearest star). Pass
+// `onChange` to let the user pick a rating.
+const StarRating = ({ value, onChange, size = 'h-5 w-5', disabled }) => {
+  const filled = Math.round(value || 0);
+
+  if (!onChange) {
+    return (
+      <span
+        className="inline-flex items-center"
+        aria-label={`${value || 0} out of 5 stars`}>
+        {STARS.map((star) => (
+          <StarIcon
+            key={star}
+            className={`${size} ${star <= filled ? 'text-yellow-400' : 'text-gray-300'}`}
+          />
+        ))}
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center" role="radiogroup">
+      {STARS.map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={star === filled}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          onClick={() => onChange(star)}
+          disabled={disabled}
+          className="disabled:cursor-not-allowed">
+          <StarIcon
+            className={`${size} ${star <= filled ? 'text-yellow-400' : 'text-gray-300 hover:text-yellow-200'}`}
+          />
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { QRCodeSVG } from 'qrcode.react';
+
+const TicketModal = ({ event, onClose }) => {
+  const [ticket, setTicket] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTicket = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/events/${event._id}/ticket`);
+        setTicket(response.data.ticket);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load ticket');
+        console.error('Fetch ticket error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTicket();
+  }, [event._id]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-6 border w-96 shadow-lg rounded-md bg-white text-center">
+        <h3 className="text-lg font-medium text-gray-900">{event.title}</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Show this code at the entrance
+        </p>
+
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : error ? (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        ) : (
+          <div className="flex flex-col items-center">
+            <QRCodeSVG value={ticket.token} size={224} level="M" />
+            <p className="mt-4 font-mono text-xl tracking-widest text-gray-900">
+              {ticket.code}
+            </p>
+            {ticket.checkedIn && (
+              <span className="mt-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                Checked in
+              </span>
+            )}
+          </div>
+        )}
+
+        <button onClick={onClose} className="btn-secondary w-full mt-6">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TicketModal;
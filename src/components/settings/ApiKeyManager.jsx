@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const SCOPE_LABELS = {
+  'events:read': 'Read events',
+  'events:manage': 'Manage own events',
+  'attendees:manage': 'Manage attendees',
+};
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+const EMPTY_FORM = { name: '', scopes: ['events:read'], expiresInDays: '90' };
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString() : 'Never';
+
+// Personal API keys for scripts: create with scopes and an expiry, revoke
+const ApiKeyManager = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState(Object.keys(SCOPE_LABELS));
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  // The key is only shown right after it was created
+  const [newKey, setNewKey] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    const fetchApiKeys = async () => {
+      try {
+        const response = await axios.get('/users/api-keys');
+        setApiKeys(response.data.apiKeys);
+        setScopes(response.data.scopes);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load API keys');
+        console.error('Fetch API keys error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchApiKeys();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setFormData((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await axios.post('/users/api-keys', {
+        name: formData.name,
+        scopes: formData.scopes,
+        expiresInDays: formData.expiresInDays
+          ? Number(formData.expiresInDays)
+          : null,
+      });
+      setApiKeys((prev) => [response.data.apiKey, ...prev]);
+      setNewKey(response.data.key);
+      setFormData(EMPTY_FORM);
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setError(err.response.data.errors.map((e) => e.msg).join(', '));
+      } else {
+        setError(err.response?.data?.message || 'Failed to create API key');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (
+      !window.confirm(
+        `Revoke "${apiKey.name}"? Scripts using it will stop working.`
+      )
+    ) {
+      return;
+    }
+    setRevokingId(apiKey._id);
+    setError('');
+    try {
+      await axios.delete(`/users/api-keys/${apiKey._id}`);
+      setApiKeys((prev) => prev.filter((item) => item._id !== apiKey._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke API key');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-lg font-semibold text-gray-900">API keys</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to use the
+        API from scripts and integrations.
+      </p>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+      {newKey && (
+        <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-md p-4">
+          <p className="text-sm text-yellow-800">
+            Copy your new key now. You won&apos;t be able to see it again.
+          </p>
+          <p className="mt-2 font-mono text-sm text-gray-900 break-all">
+            {newKey}
+          </p>
+          <button
+            type="button"
+            onClick={() => setNewKey(null)}
+            className="mt-2 text-sm text-primary-600 hover:text-primary-700">
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="mt-4 space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label
+              htmlFor="api-key-name"
+              className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              id="api-key-name"
+              type="text"
+              required
+              maxLength={50}
+              value={formData.name}
+              onChange={(e) =>
+                setFormData((prev) => ({ ...prev, name: e.target.value }))
+              }
+              placeholder="e.g. Ticketing sync"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="api-key-expiry"
+              className="block text-sm font-medium text-gray-700 mb-1">
+              Expires after
+            </label>
+            <select
+              id="api-key-expiry"
+              value={formData.expiresInDays}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  expiresInDays: e.target.value,
+                }))
+              }
+              className="input-field">
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700 mb-1">
+            Scopes
+          </legend>
+          <div className="flex flex-wrap gap-4">
+            {scopes.map((scope) => (
+              <label
+                key={scope}
+                className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="h-4 w-4"
+                />
+                <span>{SCOPE_LABELS[scope] || scope}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <button
+          type="submit"
+          disabled={isSubmitting || formData.scopes.length === 0}
+          className="btn-primary">
+          {isSubmitting ? 'Creating...' : 'Create API Key'}
+        </button>
+      </form>
+
+      {!loading && apiKeys.length > 0 && (
+        <ul className="mt-6 divide-y divide-gray-100">
+          {apiKeys.map((apiKey) => {
+            const expired =
+              apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+            return (
+              <li
+                key={apiKey._id}
+                className="py-3 flex items-start justify-between">
+                <div className="pr-4">
+                  <p className="text-sm font-medium text-gray-900">
+                    {apiKey.name}{' '}
+                    <span className="font-mono text-gray-500">
+                      {apiKey.prefix}…
+                    </span>
+                    {expired && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-600">
+                        expired
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {apiKey.scopes
+                      .map((scope) => SCOPE_LABELS[scope] || scope)
+                      .join(', ')}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Created {formatDate(apiKey.createdAt)} · Expires{' '}
+                    {formatDate(apiKey.expiresAt)} · Last used{' '}
+                    {apiKey.lastUsedAt
+                      ? new Date(apiKey.lastUsedAt).toLocaleString()
+                      : 'never'}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(apiKey)}
+                  disabled={revokingId === apiKey._id}
+                  className="btn-danger">
+                  Revoke
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeyManager;
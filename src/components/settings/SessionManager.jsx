@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+
+const SYSTEMS = [
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// "Chrome on macOS" from a user agent string, good enough to recognize a
+// device
+const describeDevice = (userAgent) => {
+  const find = (list) => list.find(([token]) => userAgent.includes(token))?.[1];
+  const browser = find(BROWSERS);
+  const system = find(SYSTEMS);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent || 'Unknown device';
+};
+
+// Devices the user is signed in on, with per-device revoke and "log out
+// everywhere"
+const SessionManager = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await axios.get('/auth/sessions');
+        setSessions(response.data.sessions);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load sessions');
+        console.error('Fetch sessions error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setRevokingId(session._id);
+    setError('');
+    try {
+      await axios.delete(`/auth/sessions/${session._id}`);
+      setSessions((prev) => prev.filter((item) => item._id !== session._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) {
+      return;
+    }
+    setError('');
+    try {
+      await axios.post('/auth/logout-all');
+      logout();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to log out everywhere');
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Sessions</h2>
+        <button
+          type="button"
+          onClick={handleLogoutEverywhere}
+          className="btn-danger">
+          Log Out Everywhere
+        </button>
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+      {!loading && (
+        <ul className="mt-4 divide-y divide-gray-100">
+          {sessions.map((session) => (
+            <li
+              key={session._id}
+              className="py-3 flex items-start justify-between">
+              <div className="pr-4">
+                <p className="text-sm font-medium text-gray-900">
+                  {describeDevice(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ip && `${session.ip} · `}Last active{' '}
+                  {new Date(session.lastSeenAt).toLocaleString()} · Signed in{' '}
+                  {new Date(session.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(session)}
+                  disabled={revokingId === session._id}
+                  className="btn-secondary">
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionManager;
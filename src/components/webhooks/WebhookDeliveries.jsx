@@ -0,0 +1,168 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  sending: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+// Delivery log of one webhook, with the payload and response status of
+// each delivery and a way to send it again
+const WebhookDeliveries = ({ webhook }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pages: 1 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [openId, setOpenId] = useState(null);
+  const [redeliveringId, setRedeliveringId] = useState(null);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/webhooks/${webhook._id}/deliveries`, {
+        params: { page },
+      });
+      setDeliveries(response.data.deliveries);
+      setPagination(response.data.pagination);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load deliveries');
+      console.error('Fetch webhook deliveries error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [webhook._id, page]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleRedeliver = async (delivery) => {
+    setRedeliveringId(delivery._id);
+    setError('');
+    try {
+      await axios.post(
+        `/webhooks/${webhook._id}/deliveries/${delivery._id}/redeliver`
+      );
+      if (page === 1) {
+        await fetchDeliveries();
+      } else {
+        setPage(1);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to redeliver');
+    } finally {
+      setRedeliveringId(null);
+    }
+  };
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-900">Deliveries</h3>
+        <button
+          type="button"
+          onClick={fetchDeliveries}
+          disabled={loading}
+          className="text-sm text-primary-600 hover:text-primary-700">
+          Refresh
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {!loading && deliveries.length === 0 && (
+        <p className="text-sm text-gray-500">Nothing has been sent yet.</p>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {deliveries.map((delivery) => (
+          <li key={delivery._id} className="py-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span
+                className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[delivery.status]}`}>
+                {delivery.status}
+              </span>
+              <span className="font-mono text-gray-900">{delivery.event}</span>
+              {delivery.responseStatus && (
+                <span className="text-gray-500">
+                  HTTP {delivery.responseStatus}
+                  {delivery.responseSize !== null &&
+                    `, ${delivery.responseSize} bytes`}
+                </span>
+              )}
+              <span className="text-gray-500">
+                {new Date(delivery.createdAt).toLocaleString()}
+              </span>
+              <span className="text-gray-500">
+                {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+              </span>
+              <div className="ml-auto flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() =>
+                    setOpenId(openId === delivery._id ? null : delivery._id)
+                  }
+                  className="text-primary-600 hover:text-primary-700">
+                  {openId === delivery._id ? 'Hide' : 'Details'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRedeliver(delivery)}
+                  disabled={redeliveringId === delivery._id || !webhook.active}
+                  className="text-primary-600 hover:text-primary-700 disabled:text-gray-400">
+                  Redeliver
+                </button>
+              </div>
+            </div>
+
+            {delivery.status === 'pending' && delivery.attempts > 0 && (
+              <p className="mt-1 text-xs text-gray-500">
+                Retrying at {new Date(delivery.runAt).toLocaleString()}
+              </p>
+            )}
+            {delivery.lastError && (
+              <p className="mt-1 text-xs text-red-600">{delivery.lastError}</p>
+            )}
+
+            {openId === delivery._id && (
+              <div className="mt-2">
+                <p className="text-xs font-medium text-gray-700">Payload</p>
+                <pre className="mt-1 max-h-64 overflow-auto rounded bg-gray-50 p-2 text-xs text-gray-800">
+                  {JSON.stringify(delivery.payload, null, 2)}
+                </pre>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {pagination.pages > 1 && (
+        <div className="mt-3 flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || loading}
+            className="btn-secondary">
+            Newer
+          </button>
+          <span className="text-gray-500">
+            Page {pagination.current} of {pagination.pages}
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages || loading}
+            className="btn-secondary">
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
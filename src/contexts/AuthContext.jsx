@@ -8,9 +8,43 @@ const API_BASE_URL = 'http://localhost:5000/api';
 // Configure axios defaults
 axios.defaults.baseURL = API_BASE_URL;
 
+// Requests whose 401 means bad credentials, not an expired access token
+const AUTH_PATHS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+];
+
+let refreshPromise = null;
+
+// Trade the stored refresh token for new tokens. Requests failing at the
+// same time share one refresh, since each refresh token works only once.
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post('/auth/refresh', {
+        refreshToken: localStorage.getItem('refreshToken'),
+      })
+      .then((response) => {
+        const { token, refreshToken } = response.data;
+        // Stored right away so other tabs and queued requests use them
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        return { token, refreshToken };
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
   isAuthenticated: false,
   loading: true,
   error: null,
@@ -29,6 +63,7 @@ const authReducer = (state, action) => {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
+        refreshToken: action.payload.refreshToken,
         isAuthenticated: true,
         loading: false,
         error: null,
@@ -38,6 +73,7 @@ const authReducer = (state, action) => {
         ...state,
         user: null,
         token: null,
+        refreshToken: null,
         isAuthenticated: false,
         loading: false,
         error: action.payload,
@@ -47,10 +83,22 @@ const authReducer = (state, action) => {
         ...state,
         user: null,
         token: null,
+        refreshToken: null,
         isAuthenticated: false,
         loading: false,
         error: null,
       };
+    case 'TOKEN_REFRESHED':
+      return {
+        ...state,
+        token: action.payload.token,
+        refreshToken: action.payload.refreshToken,
+      };
+    case 'USER_UPDATED':
+      return {
+        ...state,
+        user: state.user && { ...state.user, ...action.payload },
+      };
     case 'CLEAR_ERROR':
       return {
         ...state,
@@ -69,6 +117,50 @@ const authReducer = (state, action) => {
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  // Refresh an expired access token and retry the request. Registered
+  // before the token check below so that check is covered too.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        const sentRefreshToken = localStorage.getItem('refreshToken');
+        if (
+          response?.status !== 401 ||
+          !config ||
+          config.retried ||
+          AUTH_PATHS.includes(config.url) ||
+          !sentRefreshToken
+        ) {
+          return Promise.reject(error);
+        }
+        config.retried = true;
+
+        let token = localStorage.getItem('token');
+        // Sent before the latest refresh; the current token may do
+        if (config.headers.Authorization === `Bearer ${token}`) {
+          try {
+            const tokens = await refreshSession();
+            dispatch({ type: 'TOKEN_REFRESHED', payload: tokens });
+            token = tokens.token;
+          } catch {
+            // Another tab may have used the refresh token first
+            if (localStorage.getItem('refreshToken') === sentRefreshToken) {
+              dispatch({ type: 'LOGOUT' });
+              return Promise.reject(error);
+            }
+            token = localStorage.getItem('token');
+          }
+        }
+
+        config.headers.Authorization = `Bearer ${token}`;
+        return axios(config);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   // Set auth token in axios headers
   useEffect(() => {
     if (state.token) {
@@ -80,6 +172,14 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
+  useEffect(() => {
+    if (state.refreshToken) {
+      localStorage.setItem('refreshToken', state.refreshToken);
+    } else {
+      localStorage.removeItem('refreshToken');
+    }
+  }, [state.refreshToken]);
+
   // Check if user is authenticated on app load
   useEffect(() => {
     const verifyToken = async () => {
@@ -88,16 +188,19 @@ export const AuthProvider = ({ children }) => {
         try {
           axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
           const response = await axios.post('/auth/verify');
+          // The token may have been refreshed on the way
           dispatch({
             type: 'AUTH_SUCCESS',
             payload: {
               user: response.data.user,
-              token,
+              token: localStorage.getItem('token'),
+              refreshToken: localStorage.getItem('refreshToken'),
             },
           });
         } catch (error) {
           console.error('Token verification failed:', error);
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           delete axios.defaults.headers.common['Authorization'];
           dispatch({ type: 'AUTH_FAIL', payload: 'Session expired' });
         }
@@ -118,6 +221,7 @@ export const AuthProvider = ({ children }) => {
         payload: {
           user: response.data.user,
           token: response.data.token,
+          refreshToken: response.data.refreshToken,
         },
       });
       return { success: true, message: response.data.message };
@@ -137,6 +241,7 @@ export const AuthProvider = ({ children }) => {
         payload: {
           user: response.data.user,
           token: response.data.token,
+          refreshToken: response.data.refreshToken,
         },
       });
       return { success: true, message: response.data.message };
@@ -147,10 +252,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // End the session on the server too; locally the user is logged out
+  // either way
   const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      axios
+        .post('/auth/logout', { refreshToken })
+        .catch((error) => console.error('Logout failed:', error));
+    }
     dispatch({ type: 'LOGOUT' });
   };
 
+  // Merge changed fields into the signed-in user, e.g. after verifying
+  // their email
+  const updateUser = (changes) => {
+    dispatch({ type: 'USER_UPDATED', payload: changes });
+  };
+
   const clearError = () => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
@@ -160,6 +279,7 @@ export const AuthProvider = ({ children }) => {
     register,
     login,
     logout,
+    updateUser,
     clearError,
   };
 
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+import axios from 'axios';
+
+// Messages of the server's live stream; all but "event.deleted" carry the
+// changed event's current counts (and details, for public events)
+const UPDATE_TYPES = [
+  'event.joined',
+  'event.left',
+  'event.updated',
+  'event.cancelled',
+];
+
+// Subscribe to live event changes. `onUpdate` gets the changed fields of an
+// event, `onDelete` the id of a deleted one and `onCheckIn` an event's id
+// with its new check-in counts. EventSource reconnects by itself when the
+// connection drops.
+const useEventStream = ({ onUpdate, onDelete, onCheckIn }) => {
+  // Handlers change every render; the connection should not
+  const handlers = useRef({ onUpdate, onDelete, onCheckIn });
+  handlers.current = { onUpdate, onDelete, onCheckIn };
+
+  useEffect(() => {
+    const source = new EventSource(`${axios.defaults.baseURL}/stream`);
+
+    const handleUpdate = (message) =>
+      handlers.current.onUpdate?.(JSON.parse(message.data));
+    const handleDelete = (message) =>
+      handlers.current.onDelete?.(JSON.parse(message.data)._id);
+    const handleCheckIn = (message) =>
+      handlers.current.onCheckIn?.(JSON.parse(message.data));
+
+    UPDATE_TYPES.forEach((type) => source.addEventListener(type, handleUpdate));
+    source.addEventListener('event.deleted', handleDelete);
+    source.addEventListener('event.checked_in', handleCheckIn);
+
+    return () => source.close();
+  }, []);
+};
+
+// Apply a live update to a list of events, leaving other events alone
+export const patchEvents = (events, live) =>
+  events.map((event) =>
+    event._id === live._id ? { ...event, ...live } : event
+  );
+
+export default useEventStream;
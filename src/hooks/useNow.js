@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+
+// Current time, refreshed on an interval so time-based UI stays current
+const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(interval);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
@@ -2,6 +2,12 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import RegistrationQuestionsEditor from '../components/events/RegistrationQuestionsEditor';
+import {
+  cleanQuestions,
+  MAX_GUESTS_PER_ATTENDEE,
+  VISIBILITY_OPTIONS,
+} from '../utils/events';
 
 const AddEventPage = () => {
   const [formData, setFormData] = useState({
@@ -9,8 +15,23 @@ const AddEventPage = () => {
     description: '',
     location: '',
     dateTime: '',
+    endTime: '',
     category: 'other',
+    maxAttendees: '',
+    maxGuestsPerAttendee: 0,
+    visibility: 'public',
   });
+  const [recurrence, setRecurrence] = useState({
+    frequency: 'none',
+    interval: 1,
+    endType: 'count',
+    count: 4,
+    until: '',
+    exceptions: [],
+  });
+  const [exceptionDate, setExceptionDate] = useState('');
+  const [questions, setQuestions] = useState([]);
+  const [surveyQuestions, setSurveyQuestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -35,6 +56,31 @@ const AddEventPage = () => {
     if (error) setError('');
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value } = e.target;
+    setRecurrence((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (error) setError('');
+  };
+
+  const handleAddException = () => {
+    if (!exceptionDate || recurrence.exceptions.includes(exceptionDate)) return;
+    setRecurrence((prev) => ({
+      ...prev,
+      exceptions: [...prev.exceptions, exceptionDate].sort(),
+    }));
+    setExceptionDate('');
+  };
+
+  const handleRemoveException = (date) => {
+    setRecurrence((prev) => ({
+      ...prev,
+      exceptions: prev.exceptions.filter((exception) => exception !== date),
+    }));
+  };
+
   const validateForm = () => {
     if (!formData.title.trim()) {
       setError('Event title is required');
@@ -68,6 +114,34 @@ const AddEventPage = () => {
       return false;
     }
 
+    if (formData.endTime && new Date(formData.endTime) <= eventDate) {
+      setError('End time must be after the start time');
+      return false;
+    }
+
+    if (formData.maxAttendees && Number(formData.maxAttendees) < 1) {
+      setError('Maximum attendees must be at least 1');
+      return false;
+    }
+
+    if (recurrence.frequency !== 'none') {
+      if (Number(recurrence.interval) < 1) {
+        setError('Repeat interval must be at least 1');
+        return false;
+      }
+      if (recurrence.endType === 'until' && !recurrence.until) {
+        setError('Please choose when the series ends');
+        return false;
+      }
+      if (
+        recurrence.endType === 'count' &&
+        (Number(recurrence.count) < 1 || Number(recurrence.count) > 100)
+      ) {
+        setError('Number of occurrences must be between 1 and 100');
+        return false;
+      }
+    }
+
     return true;
   };
 
@@ -82,7 +156,31 @@ const AddEventPage = () => {
     try {
       const token = localStorage.getItem('token');
 
-      const response = await axios.post('/events', formData, {
+      const payload = {
+        ...formData,
+        maxAttendees: formData.maxAttendees
+          ? Number(formData.maxAttendees)
+          : null,
+        maxGuestsPerAttendee: Number(formData.maxGuestsPerAttendee) || 0,
+        registrationQuestions: cleanQuestions(questions),
+        feedbackQuestions: cleanQuestions(surveyQuestions),
+        recurrence:
+          recurrence.frequency === 'none'
+            ? null
+            : {
+                frequency: recurrence.frequency,
+                interval: Number(recurrence.interval),
+                until: recurrence.endType === 'until' ? recurrence.until : null,
+                count:
+                  recurrence.endType === 'count'
+                    ? Number(recurrence.count)
+                    : null,
+                exceptions: recurrence.exceptions,
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+              },
+      };
+
+      const response = await axios.post('/events', payload, {
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json',
@@ -211,6 +309,26 @@ const AddEventPage = () => {
               />
             </div>
 
+            <div>
+              <label
+                htmlFor="endTime"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                End Time
+              </label>
+              <input
+                type="datetime-local"
+                id="endTime"
+                name="endTime"
+                value={formData.endTime}
+                onChange={handleChange}
+                min={formData.dateTime || getMinDateTime()}
+                className="input-field"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Leave empty for a one hour event
+              </p>
+            </div>
+
             <div>
               <label
                 htmlFor="category"
@@ -231,6 +349,245 @@ const AddEventPage = () => {
               </select>
             </div>
 
+            <div>
+              <label
+                htmlFor="visibility"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                Visibility
+              </label>
+              <select
+                id="visibility"
+                name="visibility"
+                value={formData.visibility}
+                onChange={handleChange}
+                className="input-field">
+                {VISIBILITY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                {
+                  VISIBILITY_OPTIONS.find(
+                    (option) => option.value === formData.visibility
+                  )?.description
+                }
+                {formData.visibility === 'invite-only' &&
+                  '. Send invitations from My Events once the event is created.'}
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="maxAttendees"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                Maximum Attendees
+              </label>
+              <input
+                type="number"
+                id="maxAttendees"
+                name="maxAttendees"
+                value={formData.maxAttendees}
+                onChange={handleChange}
+                min={1}
+                className="input-field"
+                placeholder="Leave empty for unlimited"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Once full, new attendees join a waitlist and are promoted as
+                seats free up
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="maxGuestsPerAttendee"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                Guests per Attendee
+              </label>
+              <input
+                type="number"
+                id="maxGuestsPerAttendee"
+                name="maxGuestsPerAttendee"
+                value={formData.maxGuestsPerAttendee}
+                onChange={handleChange}
+                min={0}
+                max={MAX_GUESTS_PER_ATTENDEE}
+                className="input-field"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                How many named guests each attendee may bring. Guests take seats
+                too; 0 turns guests off.
+              </p>
+            </div>
+
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-2">
+                Registration Questions
+              </p>
+              <RegistrationQuestionsEditor
+                questions={questions}
+                onChange={setQuestions}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Asked when people join, e.g. dietary needs or T-shirt size.
+                Answers appear in the attendee export.
+              </p>
+            </div>
+
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-2">
+                Feedback Survey
+              </p>
+              <RegistrationQuestionsEditor
+                questions={surveyQuestions}
+                onChange={setSurveyQuestions}
+                placeholder="Question, e.g. What should we do differently?"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Asked alongside the rating once the event is over. Only you see
+                the answers.
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="frequency"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                Repeat
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <select
+                  id="frequency"
+                  name="frequency"
+                  value={recurrence.frequency}
+                  onChange={handleRecurrenceChange}
+                  className="input-field">
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+                {recurrence.frequency !== 'none' && (
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm text-gray-600">Every</span>
+                    <input
+                      type="number"
+                      name="interval"
+                      value={recurrence.interval}
+                      onChange={handleRecurrenceChange}
+                      min={1}
+                      max={99}
+                      className="input-field w-20"
+                      aria-label="Repeat interval"
+                    />
+                    <span className="text-sm text-gray-600">
+                      {
+                        {
+                          daily: 'day(s)',
+                          weekly: 'week(s)',
+                          monthly: 'month(s)',
+                        }[recurrence.frequency]
+                      }
+                    </span>
+                  </div>
+                )}
+              </div>
+
+              {recurrence.frequency !== 'none' && (
+                <div className="mt-4 space-y-4 bg-gray-50 p-4 rounded-lg">
+                  <div className="flex flex-col md:flex-row md:items-center gap-3">
+                    <span className="text-sm font-medium text-gray-700">
+                      Ends
+                    </span>
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                      <input
+                        type="radio"
+                        name="endType"
+                        value="count"
+                        checked={recurrence.endType === 'count'}
+                        onChange={handleRecurrenceChange}
+                      />
+                      <span>After</span>
+                      <input
+                        type="number"
+                        name="count"
+                        value={recurrence.count}
+                        onChange={handleRecurrenceChange}
+                        min={1}
+                        max={100}
+                        disabled={recurrence.endType !== 'count'}
+                        className="input-field w-20"
+                        aria-label="Number of occurrences"
+                      />
+                      <span>occurrences</span>
+                    </label>
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                      <input
+                        type="radio"
+                        name="endType"
+                        value="until"
+                        checked={recurrence.endType === 'until'}
+                        onChange={handleRecurrenceChange}
+                      />
+                      <span>On</span>
+                      <input
+                        type="date"
+                        name="until"
+                        value={recurrence.until}
+                        onChange={handleRecurrenceChange}
+                        min={formData.dateTime.slice(0, 10)}
+                        disabled={recurrence.endType !== 'until'}
+                        className="input-field"
+                        aria-label="Series end date"
+                      />
+                    </label>
+                  </div>
+
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700 mb-2">
+                      Skip dates
+                    </span>
+                    <div className="flex space-x-2">
+                      <input
+                        type="date"
+                        value={exceptionDate}
+                        onChange={(e) => setExceptionDate(e.target.value)}
+                        min={formData.dateTime.slice(0, 10)}
+                        className="input-field"
+                        aria-label="Date to skip"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleAddException}
+                        className="btn-secondary">
+                        Add
+                      </button>
+                    </div>
+                    {recurrence.exceptions.length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {recurrence.exceptions.map((date) => (
+                          <span
+                            key={date}
+                            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-800">
+                            {date}
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveException(date)}
+                              className="ml-1 text-gray-500 hover:text-gray-700"
+                              aria-label={`Stop skipping ${date}`}>
+                              ×
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="text-sm font-medium text-gray-700 mb-2">
                 Event Creator
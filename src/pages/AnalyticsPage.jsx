@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import ActivityChart from '../components/analytics/ActivityChart';
+import StatCard from '../components/analytics/StatCard';
+
+const RANGE_OPTIONS = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last year' },
+];
+
+// Rates come back as 0–1, or null when there is nothing to measure yet
+const formatRate = (value) =>
+  value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+
+// Organizer analytics: all of the user's events, or one event with /:id
+const AnalyticsPage = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        id ? `/analytics/events/${id}` : '/analytics',
+        { params: { days } }
+      );
+      setData(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load analytics');
+      console.error('Fetch analytics error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, days]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const renderStats = (stats) => (
+    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+      <StatCard
+        label="Page views"
+        value={stats.views}
+        hint={`${stats.uniqueViewers} unique`}
+      />
+      <StatCard label="Joins" value={stats.joins} />
+      <StatCard label="Leaves" value={stats.leaves} />
+      <StatCard
+        label="View to join"
+        value={formatRate(stats.conversionRate)}
+        hint="Viewers who went on to join"
+      />
+      <StatCard
+        label="Capacity filled"
+        value={formatRate(stats.fillRate)}
+        hint={
+          stats.maxAttendees === null
+            ? 'Unlimited capacity'
+            : 'Seats taken of the capacity'
+        }
+      />
+      <StatCard
+        label="No-shows"
+        value={formatRate(stats.noShowRate)}
+        hint="Attendees not checked in, ended events only"
+      />
+    </div>
+  );
+
+  const renderOverview = () => (
+    <>
+      {renderStats(data.totals)}
+
+      {data.categories.length > 0 && (
+        <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            By category
+          </h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Category</th>
+                  <th className="py-2 pr-4 font-medium">Events</th>
+                  <th className="py-2 pr-4 font-medium">Attendees</th>
+                  <th className="py-2 pr-4 font-medium">Views</th>
+                  <th className="py-2 pr-4 font-medium">View to join</th>
+                  <th className="py-2 pr-4 font-medium">Filled</th>
+                  <th className="py-2 font-medium">No-shows</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.categories.map((category) => (
+                  <tr
+                    key={category.category}
+                    className="border-b border-gray-100 last:border-0">
+                    <td className="py-2 pr-4 capitalize">
+                      {category.category}
+                    </td>
+                    <td className="py-2 pr-4">{category.events}</td>
+                    <td className="py-2 pr-4">{category.attendeeCount}</td>
+                    <td className="py-2 pr-4">{category.views}</td>
+                    <td className="py-2 pr-4">
+                      {formatRate(category.conversionRate)}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {formatRate(category.fillRate)}
+                    </td>
+                    <td className="py-2">{formatRate(category.noShowRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Events</h2>
+        {data.events.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            You haven&apos;t created any events yet.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Event</th>
+                  <th className="py-2 pr-4 font-medium">Date</th>
+                  <th className="py-2 pr-4 font-medium">Views</th>
+                  <th className="py-2 pr-4 font-medium">Joins</th>
+                  <th className="py-2 pr-4 font-medium">View to join</th>
+                  <th className="py-2 pr-4 font-medium">Filled</th>
+                  <th className="py-2 font-medium">No-shows</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.events.map((event) => (
+                  <tr
+                    key={event._id}
+                    className="border-b border-gray-100 last:border-0">
+                    <td className="py-2 pr-4">
+                      <Link
+                        to={`/analytics/${event._id}`}
+                        className="text-primary-600 hover:text-primary-700">
+                        {event.title}
+                      </Link>
+                    </td>
+                    <td className="py-2 pr-4">
+                      {new Date(event.dateTime).toLocaleDateString()}
+                    </td>
+                    <td className="py-2 pr-4">{event.views}</td>
+                    <td className="py-2 pr-4">{event.joins}</td>
+                    <td className="py-2 pr-4">
+                      {formatRate(event.conversionRate)}
+                    </td>
+                    <td className="py-2 pr-4">{formatRate(event.fillRate)}</td>
+                    <td className="py-2">{formatRate(event.noShowRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8 flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+          <div>
+            <Link
+              to={id ? '/analytics' : '/my-events'}
+              className="text-sm text-primary-600 hover:text-primary-700">
+              {id ? '← All events' : '← My Events'}
+            </Link>
+            <h1 className="mt-2 text-3xl font-bold text-gray-900">
+              {id && data?.event ? data.event.title : 'Analytics'}
+            </h1>
+            {id && data?.event && (
+              <p className="mt-1 text-gray-600">
+                {data.event.attendeeCount}
+                {data.event.maxAttendees
+                  ? ` / ${data.event.maxAttendees}`
+                  : ''}{' '}
+                attendees · {data.event.checkedIn} checked in
+              </p>
+            )}
+          </div>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="input-field md:w-48">
+            {RANGE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {loading && !data ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          data && (
+            <>
+              <div className="mb-8 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  Activity over time
+                </h2>
+                <ActivityChart timeline={data.timeline} />
+              </div>
+              {id ? renderStats(data.event) : renderOverview()}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
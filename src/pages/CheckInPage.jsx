@@ -0,0 +1,258 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import useEventStream from '../hooks/useEventStream';
+
+// Counts arrive over the live stream; the slow refresh only catches up on
+// messages missed while it was reconnecting
+const COUNTS_REFRESH_MS = 60 * 1000;
+const SCAN_INTERVAL_MS = 500;
+
+const CheckInPage = () => {
+  const { id } = useParams();
+  const [event, setEvent] = useState(null);
+  const [counts, setCounts] = useState({ registered: 0, checkedIn: 0 });
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const lastScanRef = useRef('');
+
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  const fetchCounts = useCallback(async () => {
+    try {
+      const response = await axios.get(`/events/${id}/check-in`);
+      setEvent(response.data.event);
+      setCounts(response.data.counts);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load event');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchCounts();
+    const interval = setInterval(fetchCounts, COUNTS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [fetchCounts]);
+
+  // Keep the counts live while other kiosks check people in. Joins and
+  // leaves only carry seat counts, so those refetch the registrations.
+  useEventStream({
+    onCheckIn: (live) => {
+      if (live._id === id) setCounts(live.counts);
+    },
+    onUpdate: (live) => {
+      if (live._id === id) fetchCounts();
+    },
+  });
+
+  const submitCode = useCallback(
+    async (value) => {
+      if (!value.trim()) return;
+
+      setIsSubmitting(true);
+      try {
+        const response = await axios.post(`/events/${id}/check-in`, {
+          code: value.trim(),
+        });
+        setResult({ type: 'success', ...response.data });
+        setCounts(response.data.counts);
+      } catch (err) {
+        const data = err.response?.data || {};
+        setResult({
+          type: err.response?.status === 409 ? 'warning' : 'error',
+          message: data.message || 'Check-in failed',
+          attendee: data.attendee,
+          checkedInAt: data.checkedInAt,
+        });
+        if (data.counts) setCounts(data.counts);
+      } finally {
+        setIsSubmitting(false);
+        setCode('');
+        inputRef.current?.focus();
+      }
+    },
+    [id]
+  );
+
+  // Poll the camera for QR codes with the browser's BarcodeDetector
+  useEffect(() => {
+    if (!isScanning) return undefined;
+
+    let stream;
+    let interval;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const startCamera = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+        });
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        interval = setInterval(async () => {
+          const video = videoRef.current;
+          // Wait until the camera has a frame to look at
+          if (!video || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+            return;
+          }
+
+          try {
+            const [barcode] = await detector.detect(video);
+            // Ignore the same code while it stays in front of the camera
+            if (barcode && barcode.rawValue !== lastScanRef.current) {
+              lastScanRef.current = barcode.rawValue;
+              submitCode(barcode.rawValue);
+            }
+          } catch (err) {
+            // A frame that cannot be read is skipped; the next tick retries
+            console.error('Scan error:', err);
+          }
+        }, SCAN_INTERVAL_MS);
+      } catch (err) {
+        console.error('Camera error:', err);
+        setIsScanning(false);
+        setResult({ type: 'error', message: 'Could not access the camera' });
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      clearInterval(interval);
+      stream?.getTracks().forEach((track) => track.stop());
+      lastScanRef.current = '';
+    };
+  }, [isScanning, submitCode]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCode(code);
+  };
+
+  const resultStyles = {
+    success: 'bg-green-50 border-green-300 text-green-800',
+    warning: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+    error: 'bg-red-50 border-red-300 text-red-800',
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!event) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+          <Link to="/my-events" className="btn-secondary inline-block mt-6">
+            Back to My Events
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-6 flex justify-between items-start">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Check-in</h1>
+            <p className="mt-2 text-gray-600">{event.title}</p>
+          </div>
+          <Link to="/my-events" className="btn-secondary">
+            Exit
+          </Link>
+        </div>
+
+        {/* Live Counts */}
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div className="card p-6 text-center">
+            <p className="text-4xl font-bold text-primary-600">
+              {counts.checkedIn}
+            </p>
+            <p className="text-sm text-gray-600">Checked in</p>
+          </div>
+          <div className="card p-6 text-center">
+            <p className="text-4xl font-bold text-gray-900">
+              {counts.registered}
+            </p>
+            <p className="text-sm text-gray-600">Registered</p>
+          </div>
+        </div>
+
+        <div className="card p-6">
+          <form onSubmit={handleSubmit} className="flex gap-3">
+            <input
+              ref={inputRef}
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Scan or type ticket code"
+              className="input-field flex-1 font-mono"
+              autoFocus
+              autoComplete="off"
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting || !code.trim()}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+              Check in
+            </button>
+          </form>
+
+          {canScan && (
+            <div className="mt-4">
+              <button
+                type="button"
+                onClick={() => setIsScanning((prev) => !prev)}
+                className="btn-secondary w-full">
+                {isScanning ? 'Stop camera' : 'Scan with camera'}
+              </button>
+              {isScanning && (
+                <video
+                  ref={videoRef}
+                  className="mt-4 w-full rounded-lg bg-black"
+                  muted
+                  playsInline
+                />
+              )}
+            </div>
+          )}
+
+          {result && (
+            <div
+              className={`mt-6 border rounded-md p-4 ${resultStyles[result.type]}`}>
+              <p className="text-lg font-medium">{result.message}</p>
+              {result.checkedInAt && (
+                <p className="text-sm mt-1">
+                  Checked in at{' '}
+                  {new Date(result.checkedInAt).toLocaleTimeString()}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckInPage;
@@ -0,0 +1,506 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Link,
+  useLocation,
+  useParams,
+  useSearchParams,
+} from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import CancelledBanner from '../components/events/CancelledBanner';
+import EventComments from '../components/events/EventComments';
+import EventReviews from '../components/events/EventReviews';
+import EventStatusBadge from '../components/events/EventStatusBadge';
+import GuestListEditor from '../components/events/GuestListEditor';
+import RegistrationForm from '../components/events/RegistrationForm';
+import RsvpControl from '../components/events/RsvpControl';
+import TicketModal from '../components/events/TicketModal';
+import useEventStream from '../hooks/useEventStream';
+import useNow from '../hooks/useNow';
+import {
+  describeRecurrence,
+  downloadFile,
+  getEndTime,
+  getEventStatus,
+  getParticipation,
+  getRsvpCounts,
+  getUserId,
+  isEventFull,
+} from '../utils/events';
+
+// Attendee avatars shown before collapsing into "+N more"
+const MAX_AVATARS = 12;
+
+const EventDetailPage = () => {
+  const { id } = useParams();
+  // Invitation token from an invite link, needed for invite-only events
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showTicket, setShowTicket] = useState(false);
+  const [guestNames, setGuestNames] = useState([]);
+  const [answers, setAnswers] = useState({});
+
+  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+  const userId = getUserId(user);
+  const now = useNow();
+
+  // The guest editor starts from the guests the user already brings
+  const applyEvent = useCallback(
+    (data) => {
+      setEvent(data);
+      setGuestNames(getParticipation(data, userId).guests);
+    },
+    [userId]
+  );
+
+  const fetchEvent = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/events/${id}`, {
+        params: inviteToken ? { invite: inviteToken } : {},
+      });
+      applyEvent(response.data.event);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load event');
+      console.error('Fetch event error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, inviteToken, applyEvent]);
+
+  useEffect(() => {
+    fetchEvent();
+  }, [fetchEvent]);
+
+  // Counts, details and cancellation arrive live; the attendee list itself
+  // is refreshed on the next load
+  useEventStream({
+    onUpdate: (live) =>
+      setEvent((prev) =>
+        prev && prev._id === live._id ? { ...prev, ...live } : prev
+      ),
+    onDelete: (eventId) => {
+      if (eventId !== id) return;
+      setEvent(null);
+      setError('This event has been deleted');
+    },
+  });
+
+  const getGuestList = () =>
+    guestNames.map((name) => name.trim()).filter(Boolean);
+
+  const handleRsvp = async (status) => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/events/${id}/rsvp`, {
+        status,
+        inviteToken,
+        ...(status === 'going' && { guests: getGuestList(), answers }),
+      });
+      applyEvent(response.data.event);
+
+      if (response.data.participation?.status === 'waitlisted') {
+        alert(response.data.message);
+      }
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        alert(err.response.data.errors.map((e) => e.msg).join('\n'));
+      } else {
+        alert(err.response?.data?.message || 'Failed to update RSVP');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSaveGuests = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.put(`/events/${id}/guests`, {
+        guests: getGuestList(),
+      });
+      applyEvent(response.data.event);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to update guests');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Downloaded through axios so invite-only events get the login and invite
+  // token a plain link can't send
+  const handleDownloadCalendar = async () => {
+    try {
+      const query = inviteToken ? `?invite=${inviteToken}` : '';
+      await downloadFile(`/events/${id}/ics${query}`, `${event.title}.ics`);
+    } catch (err) {
+      console.error('Download calendar error:', err);
+      alert('Failed to download calendar file');
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(
+        `${window.location.origin}/events/${id}`
+      );
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy event link error:', err);
+    }
+  };
+
+  const formatDateTime = (dateTime) => {
+    const date = new Date(dateTime);
+    return date.toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const formatTime = (dateTime) =>
+    new Date(dateTime).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  const renderAvatar = (person, size = 'w-10 h-10') =>
+    person.photoURL ? (
+      <img
+        src={person.photoURL}
+        alt={person.name}
+        title={person.name}
+        className={`${size} rounded-full object-cover border-2 border-white`}
+      />
+    ) : (
+      <div
+        title={person.name}
+        className={`${size} bg-primary-600 rounded-full flex items-center justify-center border-2 border-white`}>
+        <span className="text-white font-medium text-sm">
+          {person.name?.charAt(0)?.toUpperCase()}
+        </span>
+      </div>
+    );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!event) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+          <Link to="/events" className="btn-secondary inline-block mt-6">
+            Back to Events
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const status = getEventStatus(event, now);
+  const participation = getParticipation(event, userId);
+  const rsvpCounts = getRsvpCounts(event);
+  const isOrganizer =
+    Boolean(userId) && (event.creator?._id || event.creator) === userId;
+  const guestCount = event.guestCount || 0;
+  const canBringGuests =
+    isAuthenticated &&
+    !isOrganizer &&
+    status === 'upcoming' &&
+    event.maxGuestsPerAttendee > 0;
+  const savedGuests = participation.guests.join('\n');
+  // Registration questions are answered once, when saying "going"
+  const needsRegistration =
+    isAuthenticated &&
+    !isOrganizer &&
+    !participation.status &&
+    (status === 'upcoming' || status === 'ongoing') &&
+    event.registrationQuestions?.length > 0;
+  const creator = event.creator?.name
+    ? event.creator
+    : { name: event.creatorName };
+  const fillPercent = event.maxAttendees
+    ? Math.min(
+        100,
+        Math.round((event.attendeeCount / event.maxAttendees) * 100)
+      )
+    : null;
+
+  const renderActions = () => {
+    if (!isAuthenticated) {
+      return (
+        <Link
+          to="/login"
+          state={{ from: location.pathname + location.search }}
+          className="btn-primary">
+          Log in to RSVP
+        </Link>
+      );
+    }
+
+    if (isOrganizer) {
+      return (
+        <Link to="/my-events" className="btn-primary">
+          Manage Event
+        </Link>
+      );
+    }
+
+    if (status === 'cancelled' || status === 'completed') {
+      return null;
+    }
+
+    return (
+      <div className="flex items-start space-x-3">
+        <RsvpControl
+          participation={participation}
+          isFull={isEventFull(event)}
+          onChange={handleRsvp}
+          disabled={isSubmitting}
+        />
+        {participation.status === 'attending' && (
+          <button onClick={() => setShowTicket(true)} className="btn-primary">
+            Show Ticket
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link
+          to="/events"
+          className="text-sm text-primary-600 hover:text-primary-700">
+          ← All events
+        </Link>
+
+        <div className="mt-4 bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+          {/* Header */}
+          <div className="flex flex-wrap items-center gap-3 mb-2">
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+              {event.category}
+            </span>
+            <EventStatusBadge status={status} />
+            {event.recurrence && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                {describeRecurrence(event.recurrence)}
+              </span>
+            )}
+            {event.visibility === 'invite-only' && (
+              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                Invite only
+              </span>
+            )}
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">{event.title}</h1>
+
+          <div className="mt-4 flex items-center space-x-3">
+            {renderAvatar(creator, 'w-8 h-8')}
+            <p className="text-sm text-gray-600">
+              Organized by{' '}
+              {creator._id ? (
+                <Link
+                  to={`/organizers/${creator._id}`}
+                  className="font-medium text-gray-900 hover:text-primary-600">
+                  {creator.name}
+                </Link>
+              ) : (
+                <span className="font-medium text-gray-900">
+                  {creator.name}
+                </span>
+              )}
+            </p>
+          </div>
+
+          {status === 'cancelled' && (
+            <div className="mt-6">
+              <CancelledBanner event={event} />
+            </div>
+          )}
+
+          {/* Details */}
+          <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-700">
+            <div>
+              <p className="font-medium text-gray-900">When</p>
+              <p>
+                {formatDateTime(event.dateTime)} –{' '}
+                {formatTime(getEndTime(event))}
+              </p>
+            </div>
+            <div>
+              <p className="font-medium text-gray-900">Where</p>
+              <p>{event.location}</p>
+            </div>
+          </div>
+
+          <div className="mt-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">
+              About this event
+            </h2>
+            <p className="text-gray-700 whitespace-pre-line">
+              {event.description}
+            </p>
+          </div>
+
+          {/* Capacity */}
+          <div className="mt-8">
+            <div className="flex justify-between items-baseline mb-2">
+              <h2 className="text-lg font-semibold text-gray-900">Attendees</h2>
+              <p className="text-sm text-gray-600">
+                {rsvpCounts.going}
+                {event.maxAttendees ? ` / ${event.maxAttendees}` : ''} going
+                {guestCount > 0 && ` (incl. ${guestCount} guests)`}
+                {rsvpCounts.waitlisted > 0 &&
+                  ` · ${rsvpCounts.waitlisted} waitlisted`}
+                {rsvpCounts.maybe > 0 && ` · ${rsvpCounts.maybe} maybe`}
+                {rsvpCounts.declined > 0 &&
+                  ` · ${rsvpCounts.declined} can't go`}
+                {isOrganizer &&
+                  rsvpCounts.invited > 0 &&
+                  ` · ${rsvpCounts.invited} invited`}
+              </p>
+            </div>
+            {fillPercent !== null && (
+              <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+                <div
+                  className="bg-primary-600 h-2 rounded-full"
+                  style={{ width: `${fillPercent}%` }}
+                />
+              </div>
+            )}
+            {event.attendees.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Nobody has joined yet. Be the first!
+              </p>
+            ) : (
+              <div className="flex items-center">
+                <div className="flex -space-x-2">
+                  {event.attendees.slice(0, MAX_AVATARS).map((attendee) => (
+                    <div key={attendee._id || attendee}>
+                      {renderAvatar(attendee)}
+                    </div>
+                  ))}
+                </div>
+                {event.attendees.length > MAX_AVATARS && (
+                  <span className="ml-3 text-sm text-gray-600">
+                    +{event.attendees.length - MAX_AVATARS} more
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Actions */}
+          <div className="mt-8 pt-6 border-t border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              {needsRegistration && (
+                <div className="mb-4 max-w-md">
+                  <p className="text-sm font-medium text-gray-900 mb-2">
+                    Before you say you&apos;re going
+                  </p>
+                  <RegistrationForm
+                    questions={event.registrationQuestions}
+                    answers={answers}
+                    onChange={setAnswers}
+                    disabled={isSubmitting}
+                  />
+                </div>
+              )}
+              {renderActions()}
+              {canBringGuests && (
+                <div className="mt-4 max-w-md">
+                  <p className="text-sm font-medium text-gray-900 mb-2">
+                    {participation.status ? 'Your guests' : 'Bringing guests?'}{' '}
+                    <span className="font-normal text-gray-500">
+                      (up to {event.maxGuestsPerAttendee}, each takes a seat)
+                    </span>
+                  </p>
+                  <GuestListEditor
+                    guests={guestNames}
+                    maxGuests={event.maxGuestsPerAttendee}
+                    onChange={setGuestNames}
+                    disabled={isSubmitting}
+                  />
+                  {participation.status &&
+                    getGuestList().join('\n') !== savedGuests && (
+                      <button
+                        onClick={handleSaveGuests}
+                        disabled={isSubmitting}
+                        className="btn-primary text-sm mt-2 disabled:opacity-50 disabled:cursor-not-allowed">
+                        Save guests
+                      </button>
+                    )}
+                </div>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={handleDownloadCalendar}
+                className="btn-secondary text-sm"
+                title="Download .ics file">
+                Add to calendar
+              </button>
+              <button
+                onClick={handleCopyLink}
+                className="btn-secondary text-sm">
+                {linkCopied ? 'Link copied!' : 'Copy share link'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {status === 'completed' && (
+          <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+              Reviews
+            </h2>
+            <EventReviews
+              event={event}
+              isOrganizer={isOrganizer}
+              inviteToken={inviteToken}
+            />
+          </div>
+        )}
+
+        <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+            Discussion
+          </h2>
+          <EventComments
+            event={event}
+            isOrganizer={isOrganizer}
+            inviteToken={inviteToken}
+          />
+        </div>
+      </div>
+
+      {showTicket && (
+        <TicketModal event={event} onClose={() => setShowTicket(false)} />
+      )}
+    </div>
+  );
+};
+
+export default EventDetailPage;
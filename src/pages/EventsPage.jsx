@@ -1,6 +1,23 @@
 import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import CancelledBanner from '../components/events/CancelledBanner';
+import EventStatusBadge from '../components/events/EventStatusBadge';
+import RsvpControl from '../components/events/RsvpControl';
+import StarRating from '../components/events/StarRating';
+import useEventStream, { patchEvents } from '../hooks/useEventStream';
+import useNow from '../hooks/useNow';
+import {
+  describeRecurrence,
+  formatRating,
+  getCalendarUrl,
+  getEventStatus,
+  getParticipation,
+  getRsvpCounts,
+  getUserId,
+  isEventFull,
+} from '../utils/events';
 
 const EventsPage = () => {
   const [events, setEvents] = useState([]);
@@ -8,9 +25,19 @@ const EventsPage = () => {
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
   const [dateFilter, setDateFilter] = useState('');
-  const [joinedEvents, setJoinedEvents] = useState(new Set());
+  const [statusFilter, setStatusFilter] = useState('');
 
-  const { user } = useAuth();
+  const { user, isAuthenticated } = useAuth();
+  const userId = getUserId(user);
+  const navigate = useNavigate();
+  const now = useNow();
+
+  // Keep counts and full/cancelled states current while browsing
+  useEventStream({
+    onUpdate: (live) => setEvents((prev) => patchEvents(prev, live)),
+    onDelete: (eventId) =>
+      setEvents((prev) => prev.filter((event) => event._id !== eventId)),
+  });
 
   const fetchEvents = useCallback(async () => {
     try {
@@ -18,33 +45,43 @@ const EventsPage = () => {
       const params = {};
       if (searchTerm) params.search = searchTerm;
       if (dateFilter) params.dateFilter = dateFilter;
+      if (statusFilter) params.status = statusFilter;
 
       const response = await axios.get('/events', { params });
       setEvents(response.data.events);
-
-      // Track which events the user has joined
-      const userJoinedEvents = new Set();
-      response.data.events.forEach((event) => {
-        if (event.attendees.some((attendee) => attendee._id === user?.id)) {
-          userJoinedEvents.add(event._id);
-        }
-      });
-      setJoinedEvents(userJoinedEvents);
     } catch (err) {
       setError('Failed to fetch events');
       console.error('Fetch events error:', err);
     } finally {
       setLoading(false);
     }
-  }, [searchTerm, dateFilter, user?.id]);
+  }, [searchTerm, dateFilter, statusFilter]);
 
   useEffect(() => {
     fetchEvents();
   }, [fetchEvents]);
 
-  const handleJoinEvent = async (eventId) => {
+  // Guests are sent to log in and come back to the event afterwards
+  const requireLogin = (eventId) => {
+    if (isAuthenticated) return false;
+    navigate('/login', { state: { from: `/events/${eventId}` } });
+    return true;
+  };
+
+  const handleRsvp = async (event, status) => {
+    const eventId = event._id;
+    if (requireLogin(eventId)) return;
+
+    // The registration form lives on the event page
+    if (status === 'going' && event.registrationQuestions?.length > 0) {
+      navigate(`/events/${eventId}`);
+      return;
+    }
+
     try {
-      const response = await axios.post(`/events/${eventId}/join`);
+      const response = await axios.post(`/events/${eventId}/rsvp`, {
+        status,
+      });
 
       // Update the event in the local state
       setEvents((prevEvents) =>
@@ -53,10 +90,11 @@ const EventsPage = () => {
         )
       );
 
-      // Add to joined events
-      setJoinedEvents((prev) => new Set([...prev, eventId]));
+      if (response.data.participation?.status === 'waitlisted') {
+        alert(response.data.message);
+      }
     } catch (err) {
-      const message = err.response?.data?.message || 'Failed to join event';
+      const message = err.response?.data?.message || 'Failed to update RSVP';
       alert(message);
     }
   };
@@ -72,6 +110,14 @@ const EventsPage = () => {
     });
   };
 
+  const statusOptions = [
+    { value: '', label: 'Any Status' },
+    { value: 'upcoming', label: 'Upcoming' },
+    { value: 'ongoing', label: 'Happening Now' },
+    { value: 'completed', label: 'Ended' },
+    { value: 'cancelled', label: 'Cancelled' },
+  ];
+
   const filterOptions = [
     { value: '', label: 'All Events' },
     { value: 'today', label: 'Today' },
@@ -136,6 +182,24 @@ const EventsPage = () => {
                 ))}
               </select>
             </div>
+            <div className="md:w-48">
+              <label
+                htmlFor="statusFilter"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                Status
+              </label>
+              <select
+                id="statusFilter"
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="input-field">
+                {statusOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
 
@@ -165,107 +229,123 @@ const EventsPage = () => {
               No events found
             </h3>
             <p className="mt-1 text-sm text-gray-500">
-              {searchTerm || dateFilter
+              {searchTerm || dateFilter || statusFilter
                 ? 'Try adjusting your search or filter criteria.'
                 : 'Get started by creating a new event.'}
             </p>
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {events.map((event) => (
-              <div
-                key={event._id}
-                className="card p-6 hover:shadow-xl transition-shadow duration-200">
-                <div className="flex justify-between items-start mb-4">
-                  <h3 className="text-lg font-semibold text-gray-900 line-clamp-2">
-                    {event.title}
-                  </h3>
-                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
-                    {event.category}
-                  </span>
-                </div>
+            {events.map((event) => {
+              const participation = getParticipation(event, userId);
+              const rsvpCounts = getRsvpCounts(event);
+              const status = getEventStatus(event, now);
 
-                <div className="space-y-3 mb-4">
-                  <div className="flex items-center text-sm text-gray-600">
-                    <svg
-                      className="flex-shrink-0 mr-2 h-4 w-4"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                      stroke="currentColor">
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
-                      />
-                    </svg>
-                    by {event.creatorName}
+              return (
+                <div
+                  key={event._id}
+                  className="card p-6 hover:shadow-xl transition-shadow duration-200">
+                  <div className="flex justify-between items-start mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900 line-clamp-2">
+                      <Link
+                        to={`/events/${event._id}`}
+                        className="hover:text-primary-600">
+                        {event.title}
+                      </Link>
+                    </h3>
+                    <div className="flex flex-col items-end gap-1">
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+                        {event.category}
+                      </span>
+                      <EventStatusBadge status={status} />
+                    </div>
                   </div>
 
-                  <div className="flex items-center text-sm text-gray-600">
-                    <svg
-                      className="flex-shrink-0 mr-2 h-4 w-4"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                      stroke="currentColor">
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"
-                      />
-                    </svg>
-                    {formatDateTime(event.dateTime)}
-                  </div>
+                  <div className="space-y-3 mb-4">
+                    <div className="flex items-center text-sm text-gray-600">
+                      <svg
+                        className="flex-shrink-0 mr-2 h-4 w-4"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor">
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
+                        />
+                      </svg>
+                      by{' '}
+                      {event.creator?._id ? (
+                        <Link
+                          to={`/organizers/${event.creator._id}`}
+                          className="hover:text-primary-600">
+                          {event.creatorName}
+                        </Link>
+                      ) : (
+                        event.creatorName
+                      )}
+                    </div>
 
-                  <div className="flex items-center text-sm text-gray-600">
-                    <svg
-                      className="flex-shrink-0 mr-2 h-4 w-4"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                      stroke="currentColor">
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"
-                      />
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"
-                      />
-                    </svg>
-                    {event.location}
-                  </div>
+                    {event.rating?.count > 0 && (
+                      <div className="flex items-center text-sm text-gray-600">
+                        <StarRating
+                          value={event.rating.average}
+                          size="h-4 w-4"
+                        />
+                        <span className="ml-2">
+                          {formatRating(event.rating.average)} (
+                          {event.rating.count})
+                        </span>
+                      </div>
+                    )}
 
-                  <div className="flex items-center text-sm text-gray-600">
-                    <svg
-                      className="flex-shrink-0 mr-2 h-4 w-4"
-                      fill="none"
-                      viewBox="0 0 24 24"
-                      stroke="currentColor">
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth={2}
-                        d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
-                      />
-                    </svg>
-                    {event.attendeeCount} attendees
-                  </div>
-                </div>
+                    <div className="flex items-center text-sm text-gray-600">
+                      <svg
+                        className="flex-shrink-0 mr-2 h-4 w-4"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor">
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"
+                        />
+                      </svg>
+                      {formatDateTime(event.dateTime)}
+                      {event.recurrence && (
+                        <span className="ml-2 text-xs text-gray-500">
+                          · {describeRecurrence(event.recurrence)}
+                        </span>
+                      )}
+                    </div>
 
-                <p className="text-sm text-gray-600 mb-4 line-clamp-3">
-                  {event.description}
-                </p>
+                    <div className="flex items-center text-sm text-gray-600">
+                      <svg
+                        className="flex-shrink-0 mr-2 h-4 w-4"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor">
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"
+                        />
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"
+                        />
+                      </svg>
+                      {event.location}
+                    </div>
 
-                <div className="flex justify-between items-center">
-                  {joinedEvents.has(event._id) ? (
-                    <span className="inline-flex items-center px-3 py-2 border border-green-300 text-sm font-medium rounded-md text-green-700 bg-green-50">
+                    <div className="flex items-center text-sm text-gray-600">
                       <svg
-                        className="mr-2 h-4 w-4"
+                        className="flex-shrink-0 mr-2 h-4 w-4"
                         fill="none"
                         viewBox="0 0 24 24"
                         stroke="currentColor">
@@ -273,25 +353,62 @@ const EventsPage = () => {
                           strokeLinecap="round"
                           strokeLinejoin="round"
                           strokeWidth={2}
-                          d="M5 13l4 4L19 7"
+                          d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
                         />
                       </svg>
-                      Joined
-                    </span>
-                  ) : (
-                    <button
-                      onClick={() => handleJoinEvent(event._id)}
-                      className="btn-primary">
-                      Join Event
-                    </button>
+                      {rsvpCounts.going}
+                      {event.maxAttendees
+                        ? ` / ${event.maxAttendees}`
+                        : ''}{' '}
+                      going
+                      {rsvpCounts.waitlisted > 0 &&
+                        ` · ${rsvpCounts.waitlisted} waitlisted`}
+                      {rsvpCounts.maybe > 0 && ` · ${rsvpCounts.maybe} maybe`}
+                    </div>
+                  </div>
+
+                  <p className="text-sm text-gray-600 mb-4 line-clamp-3">
+                    {event.description}
+                  </p>
+
+                  {event.status === 'cancelled' && (
+                    <CancelledBanner event={event} />
                   )}
 
-                  <span className="text-xs text-gray-500">
-                    {new Date(event.createdAt).toLocaleDateString()}
-                  </span>
+                  <div className="flex justify-between items-center">
+                    {status === 'cancelled' ? (
+                      <span className="inline-flex items-center px-3 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-red-50">
+                        Cancelled
+                      </span>
+                    ) : status === 'completed' ? (
+                      <button
+                        disabled
+                        className="btn-primary opacity-50 cursor-not-allowed">
+                        Event Ended
+                      </button>
+                    ) : (
+                      <RsvpControl
+                        participation={participation}
+                        isFull={isEventFull(event)}
+                        onChange={(rsvp) => handleRsvp(event, rsvp)}
+                      />
+                    )}
+
+                    <div className="flex flex-col items-end space-y-1">
+                      <a
+                        href={getCalendarUrl(event._id)}
+                        className="text-xs text-primary-600 hover:text-primary-700"
+                        title="Download .ics file">
+                        Add to calendar
+                      </a>
+                      <span className="text-xs text-gray-500">
+                        {new Date(event.createdAt).toLocaleDateString()}
+                      </span>
+                    </div>
+                  </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
@@ -41,9 +41,9 @@ const HomePage = () => {
                   </div>
                   <div className="mt-3 sm:mt-0 sm:ml-3">
                     <Link
-                      to={isAuthenticated ? '/add-event' : '/login'}
+                      to={isAuthenticated ? '/add-event' : '/events'}
                       className="w-full flex items-center justify-center px-8 py-3 border border-transparent text-base font-medium rounded-md text-primary-700 bg-primary-100 hover:bg-primary-200 md:py-4 md:text-lg md:px-10 transition-colors duration-200">
-                      {isAuthenticated ? 'Create Event' : 'Learn More'}
+                      {isAuthenticated ? 'Create Event' : 'Browse Events'}
                     </Link>
                   </div>
                 </div>
@@ -211,9 +211,9 @@ const HomePage = () => {
             </div>
             <div className="ml-3 inline-flex rounded-md shadow">
               <Link
-                to={isAuthenticated ? '/events' : '/login'}
+                to="/events"
                 className="inline-flex items-center justify-center px-5 py-3 border border-transparent text-base font-medium rounded-md text-primary-600 bg-white hover:bg-gray-50 transition-colors duration-200">
-                {isAuthenticated ? 'Browse Events' : 'Learn more'}
+                Browse Events
               </Link>
             </div>
           </div>
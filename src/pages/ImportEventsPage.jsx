@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+const ImportEventsPage = () => {
+  const [file, setFile] = useState(null);
+  const [content, setContent] = useState('');
+  const [format, setFormat] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const navigate = useNavigate();
+
+  const getErrorMessage = (err, fallback) => {
+    if (err.response?.data?.errors) {
+      return err.response.data.errors.map((error) => error.msg).join(', ');
+    }
+    return err.response?.data?.message || fallback;
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setPreview(null);
+    setError('');
+
+    if (!selected) {
+      setFile(null);
+      return;
+    }
+
+    const extension = selected.name.split('.').pop().toLowerCase();
+    if (!['ics', 'csv'].includes(extension)) {
+      setFile(null);
+      setError('Please choose an .ics or .csv file');
+      return;
+    }
+
+    setFile(selected);
+    setFormat(extension);
+    setContent(await selected.text());
+  };
+
+  const handlePreview = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/events/import', {
+        format,
+        content,
+        dryRun: true,
+      });
+      setPreview(response.data);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to read the file'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      await axios.post('/events/import', {
+        format,
+        content,
+        dryRun: false,
+      });
+      navigate('/my-events');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to import events'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatDateTime = (dateTime) => {
+    const date = new Date(dateTime);
+    if (Number.isNaN(date.getTime())) return dateTime || '—';
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+          <div className="mb-8">
+            <h1 className="text-3xl font-bold text-gray-900">Import Events</h1>
+            <p className="mt-2 text-gray-600">
+              Bring events over from another tool with an iCalendar (.ics) or
+              CSV file
+            </p>
+          </div>
+
+          <div className="space-y-6">
+            <div>
+              <label
+                htmlFor="importFile"
+                className="block text-sm font-medium text-gray-700 mb-2">
+                File
+              </label>
+              <input
+                type="file"
+                id="importFile"
+                accept=".ics,.csv,text/calendar,text/csv"
+                onChange={handleFileChange}
+                className="input-field"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                CSV files need a header row with title, description, location,
+                dateTime and optionally endTime, category and maxAttendees
+                columns.
+              </p>
+            </div>
+
+            {error && (
+              <div className="rounded-md bg-red-50 p-4">
+                <h3 className="text-sm font-medium text-red-800">{error}</h3>
+              </div>
+            )}
+
+            {preview && (
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    Preview
+                  </h2>
+                  <p className="text-sm text-gray-600">
+                    {preview.summary.valid} of {preview.summary.total} rows
+                    ready to import
+                  </p>
+                </div>
+                <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">
+                          Row
+                        </th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">
+                          Title
+                        </th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">
+                          Date
+                        </th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">
+                          Location
+                        </th>
+                        <th className="px-3 py-2 text-left font-medium text-gray-700">
+                          Status
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {preview.rows.map((row) => (
+                        <tr
+                          key={row.row}
+                          className={row.valid ? '' : 'bg-red-50'}>
+                          <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {row.data.title || '—'}
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">
+                            {formatDateTime(row.data.dateTime)}
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">
+                            {row.data.location || '—'}
+                          </td>
+                          <td className="px-3 py-2">
+                            {row.valid ? (
+                              <span className="text-green-700">Ready</span>
+                            ) : (
+                              <ul className="text-red-700 list-disc list-inside">
+                                {row.errors.map((rowError) => (
+                                  <li key={rowError.field + rowError.message}>
+                                    {rowError.message}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-4">
+              <Link to="/my-events" className="btn-secondary">
+                Cancel
+              </Link>
+              {preview ? (
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={isLoading || preview.summary.valid === 0}
+                  className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+                  {isLoading
+                    ? 'Importing...'
+                    : `Import ${preview.summary.valid} event${preview.summary.valid === 1 ? '' : 's'}`}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={isLoading || !file}
+                  className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+                  {isLoading ? 'Checking...' : 'Preview Import'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportEventsPage;
@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import TicketModal from '../components/events/TicketModal';
+import CancelledBanner from '../components/events/CancelledBanner';
+import EventStatusBadge from '../components/events/EventStatusBadge';
+import useNow from '../hooks/useNow';
+import { getCalendarUrl, getEventStatus } from '../utils/events';
+
+const JoinedEventsPage = () => {
+  const [joinedEvents, setJoinedEvents] = useState([]);
+  const [waitlistedEvents, setWaitlistedEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [feedUrl, setFeedUrl] = useState('');
+  const [feedCopied, setFeedCopied] = useState(false);
+  const [ticketEvent, setTicketEvent] = useState(null);
+  const now = useNow();
+
+  useEffect(() => {
+    fetchJoinedEvents();
+    fetchCalendarFeed();
+  }, []);
+
+  const fetchCalendarFeed = async () => {
+    try {
+      const response = await axios.get('/users/calendar-feed');
+      setFeedUrl(response.data.url);
+    } catch (err) {
+      console.error('Fetch calendar feed error:', err);
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setFeedCopied(true);
+      setTimeout(() => setFeedCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy calendar feed error:', err);
+    }
+  };
+
+  const handleResetFeed = async () => {
+    if (
+      !window.confirm(
+        'Reset your calendar feed URL? Calendars subscribed to the old URL will stop updating.'
+      )
+    ) {
+      return;
+    }
+    try {
+      const response = await axios.post('/users/calendar-feed/reset');
+      setFeedUrl(response.data.url);
+    } catch (err) {
+      const message =
+        err.response?.data?.message || 'Failed to reset calendar feed';
+      alert(message);
+    }
+  };
+
+  const fetchJoinedEvents = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/events/user/joined');
+      setJoinedEvents(response.data.events);
+      setWaitlistedEvents(response.data.waitlistedEvents || []);
+    } catch (err) {
+      setError('Failed to fetch your joined events');
+      console.error('Fetch joined events error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLeaveEvent = async (eventId) => {
+    try {
+      await axios.post(`/events/${eventId}/leave`);
+      // Leaving can shift waitlist positions, so reload both lists
+      await fetchJoinedEvents();
+    } catch (err) {
+      const message = err.response?.data?.message || 'Failed to leave event';
+      alert(message);
+    }
+  };
+
+  const formatDateTime = (dateTime) => {
+    const date = new Date(dateTime);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const renderEvent = (event, badge, isAttending = false) => (
+    <div key={event._id} className="card p-6">
+      <div className="flex justify-between items-start">
+        <div className="flex-1">
+          <div className="flex items-center gap-3 mb-2">
+            <h3 className="text-xl font-semibold text-gray-900">
+              <Link
+                to={`/events/${event._id}`}
+                className="hover:text-primary-600">
+                {event.title}
+              </Link>
+            </h3>
+            {badge}
+            <EventStatusBadge status={getEventStatus(event, now)} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm text-gray-600">
+            <div>by {event.creatorName}</div>
+            <div>{formatDateTime(event.dateTime)}</div>
+            <div>{event.location}</div>
+            <div>
+              {event.attendeeCount}
+              {event.maxAttendees ? ` / ${event.maxAttendees}` : ''} attendees
+            </div>
+          </div>
+          {event.status === 'cancelled' && (
+            <div className="mt-4">
+              <CancelledBanner event={event} />
+            </div>
+          )}
+        </div>
+        <div className="flex space-x-2 ml-4">
+          {isAttending && event.status !== 'cancelled' && (
+            <button
+              onClick={() => setTicketEvent(event)}
+              className="btn-primary text-sm py-1 px-3">
+              Ticket
+            </button>
+          )}
+          <a
+            href={getCalendarUrl(event._id)}
+            className="btn-secondary text-sm py-1 px-3">
+            .ics
+          </a>
+          {getEventStatus(event, now) !== 'completed' && (
+            <button
+              onClick={() => handleLeaveEvent(event._id)}
+              className="btn-secondary text-sm py-1 px-3">
+              Leave
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Joined Events</h1>
+          <p className="mt-2 text-gray-600">
+            Events you are attending and waitlists you are queued on
+          </p>
+        </div>
+
+        {/* Calendar Subscription */}
+        {feedUrl && (
+          <div className="mb-8 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Subscribe in your calendar app
+            </h2>
+            <p className="mt-1 text-sm text-gray-600">
+              Add this URL as a subscribed calendar to keep your joined and
+              created events in sync. Keep it private: anyone with the link can
+              see your events.
+            </p>
+            <div className="mt-4 flex flex-col md:flex-row gap-2">
+              <input
+                type="text"
+                readOnly
+                value={feedUrl}
+                onFocus={(e) => e.target.select()}
+                className="input-field flex-1 text-sm"
+              />
+              <button onClick={handleCopyFeed} className="btn-primary">
+                {feedCopied ? 'Copied!' : 'Copy'}
+              </button>
+              <a
+                href={feedUrl.replace(/^https?:/, 'webcal:')}
+                className="btn-secondary text-center">
+                Open
+              </a>
+              <button onClick={handleResetFeed} className="btn-secondary">
+                Reset URL
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {joinedEvents.length === 0 && waitlistedEvents.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="mt-2 text-sm font-medium text-gray-900">
+              You haven&apos;t joined any events yet
+            </h3>
+            <div className="mt-6">
+              <Link to="/events" className="btn-primary">
+                Browse Events
+              </Link>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-10">
+            {joinedEvents.length > 0 && (
+              <section>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  Attending
+                </h2>
+                <div className="space-y-6">
+                  {joinedEvents.map((event) =>
+                    renderEvent(
+                      event,
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        Attending
+                      </span>,
+                      true
+                    )
+                  )}
+                </div>
+              </section>
+            )}
+
+            {waitlistedEvents.length > 0 && (
+              <section>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  Waitlisted
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  You will be moved to the attendee list automatically when a
+                  seat frees up.
+                </p>
+                <div className="space-y-6">
+                  {waitlistedEvents.map((event) =>
+                    renderEvent(
+                      event,
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        Position #{event.waitlistPosition}
+                      </span>
+                    )
+                  )}
+                </div>
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+
+      {ticketEvent && (
+        <TicketModal event={ticketEvent} onClose={() => setTicketEvent(null)} />
+      )}
+    </div>
+  );
+};
+
+export default JoinedEventsPage;
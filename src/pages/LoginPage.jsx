@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const LoginPage = () => {
@@ -12,6 +12,7 @@ const LoginPage = () => {
 
   const { login, error, clearError } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -36,7 +37,8 @@ const LoginPage = () => {
     setIsLoading(false);
 
     if (result.success) {
-      navigate('/events');
+      // Back to the page that asked for a login, if any
+      navigate(location.state?.from || '/events', { replace: true });
     }
   };
 
@@ -54,6 +56,7 @@ const LoginPage = () => {
             Or{' '}
             <Link
               to="/register"
+              state={location.state}
               className="font-medium text-primary-600 hover:text-primary-500">
               create a new account
             </Link>
@@ -95,6 +98,14 @@ const LoginPage = () => {
             </div>
           </div>
 
+          <div className="flex justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-primary-600 hover:text-primary-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           {(error || localError) && (
             <div className="rounded-md bg-red-50 p-4">
               <div className="flex">
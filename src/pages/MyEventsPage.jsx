@@ -1,6 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
+import AttendeeRoster from '../components/events/AttendeeRoster';
+import InvitationManager from '../components/events/InvitationManager';
+import RegistrationQuestionsEditor from '../components/events/RegistrationQuestionsEditor';
+import CancelledBanner from '../components/events/CancelledBanner';
+import EventStatusBadge from '../components/events/EventStatusBadge';
+import useEventStream, { patchEvents } from '../hooks/useEventStream';
+import useNow from '../hooks/useNow';
+import {
+  cleanQuestions,
+  describeRecurrence,
+  getEndTime,
+  getEventStatus,
+  MAX_GUESTS_PER_ATTENDEE,
+  VISIBILITY_OPTIONS,
+} from '../utils/events';
 
 const MyEventsPage = () => {
   const [events, setEvents] = useState([]);
@@ -12,9 +27,31 @@ const MyEventsPage = () => {
     description: '',
     location: '',
     dateTime: '',
+    endTime: '',
     category: 'other',
+    maxAttendees: '',
+    maxGuestsPerAttendee: 0,
+    visibility: 'public',
+    registrationQuestions: [],
+    feedbackQuestions: [],
   });
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [rosterEvent, setRosterEvent] = useState(null);
+  const [invitationEvent, setInvitationEvent] = useState(null);
+  // For recurring events: apply to 'occurrence' only or to all 'future' ones
+  const [editScope, setEditScope] = useState('occurrence');
+  const [deleteScope, setDeleteScope] = useState('occurrence');
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelScope, setCancelScope] = useState('occurrence');
+  const now = useNow();
+
+  // Attendee counts change as people join and leave
+  useEventStream({
+    onUpdate: (live) => setEvents((prev) => patchEvents(prev, live)),
+    onDelete: (eventId) =>
+      setEvents((prev) => prev.filter((event) => event._id !== eventId)),
+  });
 
   const categories = [
     { value: 'conference', label: 'Conference' },
@@ -44,12 +81,19 @@ const MyEventsPage = () => {
 
   const handleEdit = (event) => {
     setEditingEvent(event._id);
+    setEditScope('occurrence');
     setEditFormData({
       title: event.title,
       description: event.description,
       location: event.location,
       dateTime: new Date(event.dateTime).toISOString().slice(0, 16),
+      endTime: getEndTime(event).toISOString().slice(0, 16),
       category: event.category,
+      maxAttendees: event.maxAttendees || '',
+      maxGuestsPerAttendee: event.maxGuestsPerAttendee || 0,
+      visibility: event.visibility || 'public',
+      registrationQuestions: event.registrationQuestions || [],
+      feedbackQuestions: event.feedbackQuestions || [],
     });
   };
 
@@ -64,19 +108,44 @@ const MyEventsPage = () => {
   const handleUpdateEvent = async (e) => {
     e.preventDefault();
     try {
-      const response = await axios.put(`/events/${editingEvent}`, editFormData);
-      setEvents((prevEvents) =>
-        prevEvents.map((event) =>
-          event._id === editingEvent ? response.data.event : event
-        )
+      const response = await axios.put(
+        `/events/${editingEvent}`,
+        {
+          ...editFormData,
+          maxAttendees: editFormData.maxAttendees
+            ? Number(editFormData.maxAttendees)
+            : null,
+          maxGuestsPerAttendee: Number(editFormData.maxGuestsPerAttendee) || 0,
+          registrationQuestions: cleanQuestions(
+            editFormData.registrationQuestions
+          ),
+          feedbackQuestions: cleanQuestions(editFormData.feedbackQuestions),
+        },
+        { params: { scope: editScope } }
       );
+      if (response.data.updated > 1) {
+        // Several occurrences changed, reload them all
+        await fetchMyEvents();
+      } else {
+        setEvents((prevEvents) =>
+          prevEvents.map((event) =>
+            event._id === editingEvent ? response.data.event : event
+          )
+        );
+      }
       setEditingEvent(null);
       setEditFormData({
         title: '',
         description: '',
         location: '',
         dateTime: '',
+        endTime: '',
         category: 'other',
+        maxAttendees: '',
+        maxGuestsPerAttendee: 0,
+        visibility: 'public',
+        registrationQuestions: [],
+        feedbackQuestions: [],
       });
     } catch (err) {
       const message = err.response?.data?.message || 'Failed to update event';
@@ -86,10 +155,16 @@ const MyEventsPage = () => {
 
   const handleDeleteEvent = async (eventId) => {
     try {
-      await axios.delete(`/events/${eventId}`);
-      setEvents((prevEvents) =>
-        prevEvents.filter((event) => event._id !== eventId)
-      );
+      const response = await axios.delete(`/events/${eventId}`, {
+        params: { scope: deleteScope },
+      });
+      if (response.data.deleted > 1) {
+        await fetchMyEvents();
+      } else {
+        setEvents((prevEvents) =>
+          prevEvents.filter((event) => event._id !== eventId)
+        );
+      }
       setDeleteConfirm(null);
     } catch (err) {
       const message = err.response?.data?.message || 'Failed to delete event';
@@ -97,6 +172,97 @@ const MyEventsPage = () => {
     }
   };
 
+  // Keep the card counts in step with changes made in the roster
+  const handleRosterChange = useCallback((eventId, roster) => {
+    setEvents((prevEvents) =>
+      prevEvents.map((event) =>
+        event._id === eventId
+          ? {
+              ...event,
+              attendeeCount: roster.attendees.reduce(
+                (total, attendee) => total + 1 + attendee.guests.length,
+                0
+              ),
+              waitlist: roster.waitlist,
+            }
+          : event
+      )
+    );
+  }, []);
+
+  const handleCancelClick = (event) => {
+    setCancelReason('');
+    setCancelScope('occurrence');
+    setCancelTarget(event);
+  };
+
+  const handleCancelEvent = async () => {
+    try {
+      const response = await axios.post(
+        `/events/${cancelTarget._id}/cancel`,
+        { reason: cancelReason },
+        { params: { scope: cancelScope } }
+      );
+      if (response.data.cancelled > 1) {
+        await fetchMyEvents();
+      } else {
+        setEvents((prevEvents) =>
+          prevEvents.map((event) =>
+            event._id === cancelTarget._id ? response.data.event : event
+          )
+        );
+      }
+      setCancelTarget(null);
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        const errorMessages = err.response.data.errors
+          .map((error) => error.msg)
+          .join(', ');
+        alert(errorMessages);
+      } else {
+        alert(err.response?.data?.message || 'Failed to cancel event');
+      }
+    }
+  };
+
+  const handleDeleteClick = (eventId) => {
+    setDeleteScope('occurrence');
+    setDeleteConfirm(eventId);
+  };
+
+  const renderScopeChoice = (name, value, onChange) => (
+    <div className="flex flex-col space-y-1 text-sm text-gray-700 text-left">
+      <label className="flex items-center space-x-2">
+        <input
+          type="radio"
+          name={name}
+          value="occurrence"
+          checked={value === 'occurrence'}
+          onChange={(e) => onChange(e.target.value)}
+        />
+        <span>This occurrence only</span>
+      </label>
+      <label className="flex items-center space-x-2">
+        <input
+          type="radio"
+          name={name}
+          value="future"
+          checked={value === 'future'}
+          onChange={(e) => onChange(e.target.value)}
+        />
+        <span>This and all future occurrences</span>
+      </label>
+    </div>
+  );
+
+  const deleteTarget = events.find((event) => event._id === deleteConfirm);
+
+  const formatTime = (dateTime) =>
+    new Date(dateTime).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
   const formatDateTime = (dateTime) => {
     const date = new Date(dateTime);
     return date.toLocaleDateString('en-US', {
@@ -133,9 +299,20 @@ const MyEventsPage = () => {
               Manage and track your created events
             </p>
           </div>
-          <Link to="/add-event" className="btn-primary">
-            Create New Event
-          </Link>
+          <div className="flex space-x-3">
+            <Link to="/analytics" className="btn-secondary">
+              Analytics
+            </Link>
+            <Link to="/webhooks" className="btn-secondary">
+              Webhooks
+            </Link>
+            <Link to="/import-events" className="btn-secondary">
+              Import Events
+            </Link>
+            <Link to="/add-event" className="btn-primary">
+              Create New Event
+            </Link>
+          </div>
         </div>
 
         {/* Error Message */}
@@ -270,6 +447,124 @@ const MyEventsPage = () => {
                       </div>
                     </div>
 
+                    <div>
+                      <label
+                        htmlFor="edit-endTime"
+                        className="block text-sm font-medium text-gray-700 mb-1">
+                        End Time
+                      </label>
+                      <input
+                        type="datetime-local"
+                        id="edit-endTime"
+                        name="endTime"
+                        value={editFormData.endTime}
+                        onChange={handleEditChange}
+                        min={editFormData.dateTime}
+                        className="input-field"
+                        required
+                      />
+                    </div>
+
+                    <div>
+                      <label
+                        htmlFor="edit-maxAttendees"
+                        className="block text-sm font-medium text-gray-700 mb-1">
+                        Maximum Attendees
+                      </label>
+                      <input
+                        type="number"
+                        id="edit-maxAttendees"
+                        name="maxAttendees"
+                        value={editFormData.maxAttendees}
+                        onChange={handleEditChange}
+                        min={1}
+                        className="input-field"
+                        placeholder="Leave empty for unlimited"
+                      />
+                    </div>
+
+                    <div>
+                      <label
+                        htmlFor="edit-maxGuestsPerAttendee"
+                        className="block text-sm font-medium text-gray-700 mb-1">
+                        Guests per Attendee
+                      </label>
+                      <input
+                        type="number"
+                        id="edit-maxGuestsPerAttendee"
+                        name="maxGuestsPerAttendee"
+                        value={editFormData.maxGuestsPerAttendee}
+                        onChange={handleEditChange}
+                        min={0}
+                        max={MAX_GUESTS_PER_ATTENDEE}
+                        className="input-field"
+                      />
+                    </div>
+
+                    <div>
+                      <p className="block text-sm font-medium text-gray-700 mb-1">
+                        Registration Questions
+                      </p>
+                      <RegistrationQuestionsEditor
+                        questions={editFormData.registrationQuestions}
+                        onChange={(registrationQuestions) =>
+                          setEditFormData((prev) => ({
+                            ...prev,
+                            registrationQuestions,
+                          }))
+                        }
+                      />
+                    </div>
+
+                    <div>
+                      <p className="block text-sm font-medium text-gray-700 mb-1">
+                        Feedback Survey
+                      </p>
+                      <RegistrationQuestionsEditor
+                        questions={editFormData.feedbackQuestions}
+                        onChange={(feedbackQuestions) =>
+                          setEditFormData((prev) => ({
+                            ...prev,
+                            feedbackQuestions,
+                          }))
+                        }
+                        placeholder="Question, e.g. What should we do differently?"
+                      />
+                    </div>
+
+                    <div>
+                      <label
+                        htmlFor="edit-visibility"
+                        className="block text-sm font-medium text-gray-700 mb-1">
+                        Visibility
+                      </label>
+                      <select
+                        id="edit-visibility"
+                        name="visibility"
+                        value={editFormData.visibility}
+                        onChange={handleEditChange}
+                        className="input-field">
+                        {VISIBILITY_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label} – {option.description}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {event.seriesId && (
+                      <div className="bg-gray-50 p-3 rounded-lg">
+                        <p className="text-sm font-medium text-gray-700 mb-2">
+                          Apply changes to
+                        </p>
+                        {renderScopeChoice(
+                          'edit-scope',
+                          editScope,
+                          setEditScope
+                        )}
+                      </div>
+                    )}
+
                     <div className="flex justify-end space-x-3">
                       <button
                         type="button"
@@ -289,13 +584,40 @@ const MyEventsPage = () => {
                       <div className="flex-1">
                         <div className="flex items-center gap-3 mb-2">
                           <h3 className="text-xl font-semibold text-gray-900">
-                            {event.title}
+                            <Link
+                              to={`/events/${event._id}`}
+                              className="hover:text-primary-600">
+                              {event.title}
+                            </Link>
                           </h3>
                           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
                             {event.category}
                           </span>
+                          {event.recurrence && (
+                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                              {describeRecurrence(event.recurrence)}
+                            </span>
+                          )}
+                          <EventStatusBadge
+                            status={getEventStatus(event, now)}
+                          />
+                          {event.visibility &&
+                            event.visibility !== 'public' && (
+                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                                {
+                                  VISIBILITY_OPTIONS.find(
+                                    (option) =>
+                                      option.value === event.visibility
+                                  )?.label
+                                }
+                              </span>
+                            )}
                         </div>
 
+                        {event.status === 'cancelled' && (
+                          <CancelledBanner event={event} />
+                        )}
+
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-600">
                           <div className="flex items-center">
                             <svg
@@ -326,7 +648,8 @@ const MyEventsPage = () => {
                                 d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"
                               />
                             </svg>
-                            {formatDateTime(event.dateTime)}
+                            {formatDateTime(event.dateTime)} –{' '}
+                            {formatTime(getEndTime(event))}
                           </div>
 
                           <div className="flex items-center">
@@ -364,19 +687,56 @@ const MyEventsPage = () => {
                                 d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"
                               />
                             </svg>
-                            {event.attendeeCount} attendees
+                            {event.attendeeCount}
+                            {event.maxAttendees
+                              ? ` / ${event.maxAttendees}`
+                              : ''}{' '}
+                            attendees
+                            {event.waitlist?.length > 0 &&
+                              ` · ${event.waitlist.length} waitlisted`}
                           </div>
                         </div>
                       </div>
 
                       <div className="flex space-x-2 ml-4">
                         <button
-                          onClick={() => handleEdit(event)}
+                          onClick={() => setRosterEvent(event)}
                           className="btn-secondary text-sm py-1 px-3">
-                          Update
+                          Attendees
                         </button>
+                        {event.visibility === 'invite-only' && (
+                          <button
+                            onClick={() => setInvitationEvent(event)}
+                            className="btn-secondary text-sm py-1 px-3">
+                            Invitations
+                          </button>
+                        )}
+                        <Link
+                          to={`/events/${event._id}/check-in`}
+                          className="btn-secondary text-sm py-1 px-3">
+                          Check-in
+                        </Link>
+                        <Link
+                          to={`/analytics/${event._id}`}
+                          className="btn-secondary text-sm py-1 px-3">
+                          Stats
+                        </Link>
+                        {event.status !== 'cancelled' && (
+                          <>
+                            <button
+                              onClick={() => handleEdit(event)}
+                              className="btn-secondary text-sm py-1 px-3">
+                              Update
+                            </button>
+                            <button
+                              onClick={() => handleCancelClick(event)}
+                              className="btn-secondary text-sm py-1 px-3">
+                              Cancel
+                            </button>
+                          </>
+                        )}
                         <button
-                          onClick={() => setDeleteConfirm(event._id)}
+                          onClick={() => handleDeleteClick(event._id)}
                           className="btn-danger text-sm py-1 px-3">
                           Delete
                         </button>
@@ -392,6 +752,78 @@ const MyEventsPage = () => {
         )}
       </div>
 
+      {/* Invitations */}
+      {invitationEvent && (
+        <InvitationManager
+          event={invitationEvent}
+          onClose={() => setInvitationEvent(null)}
+        />
+      )}
+
+      {/* Attendee Roster */}
+      {rosterEvent && (
+        <AttendeeRoster
+          event={rosterEvent}
+          onClose={() => setRosterEvent(null)}
+          onChange={handleRosterChange}
+        />
+      )}
+
+      {/* Cancel Event Modal */}
+      {cancelTarget && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 text-center">
+                Cancel Event
+              </h3>
+              <p className="mt-2 text-sm text-gray-500 text-center">
+                The event stays listed as cancelled and everyone attending or on
+                the waitlist is notified.
+              </p>
+              <div className="mt-4">
+                <label
+                  htmlFor="cancelReason"
+                  className="block text-sm font-medium text-gray-700 mb-1">
+                  Reason
+                </label>
+                <textarea
+                  id="cancelReason"
+                  value={cancelReason}
+                  onChange={(e) => setCancelReason(e.target.value)}
+                  rows={3}
+                  maxLength={500}
+                  className="input-field"
+                  placeholder="Let attendees know why"
+                />
+              </div>
+              {cancelTarget.seriesId && (
+                <div className="mt-4">
+                  {renderScopeChoice(
+                    'cancel-scope',
+                    cancelScope,
+                    setCancelScope
+                  )}
+                </div>
+              )}
+              <div className="flex space-x-3 mt-6">
+                <button
+                  onClick={() => setCancelTarget(null)}
+                  className="btn-secondary flex-1">
+                  Keep Event
+                </button>
+                <button
+                  onClick={handleCancelEvent}
+                  disabled={cancelReason.trim().length < 3}
+                  className="btn-danger flex-1 disabled:opacity-50 disabled:cursor-not-allowed">
+                  Cancel Event
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -419,6 +851,15 @@ const MyEventsPage = () => {
                   Are you sure you want to delete this event? This action cannot
                   be undone.
                 </p>
+                {deleteTarget?.seriesId && (
+                  <div className="mt-4">
+                    {renderScopeChoice(
+                      'delete-scope',
+                      deleteScope,
+                      setDeleteScope
+                    )}
+                  </div>
+                )}
               </div>
               <div className="items-center px-4 py-3">
                 <div className="flex space-x-3">
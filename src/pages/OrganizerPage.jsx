@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import EventStatusBadge from '../components/events/EventStatusBadge';
+import StarRating from '../components/events/StarRating';
+import useNow from '../hooks/useNow';
+import { formatRating, getEventStatus } from '../utils/events';
+
+// Public profile of an event organizer with their events and reviews
+const OrganizerPage = () => {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const now = useNow();
+
+  useEffect(() => {
+    const fetchOrganizer = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/users/${id}/organizer`);
+        setData(response.data);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load organizer');
+        console.error('Fetch organizer error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrganizer();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { organizer, rating, events, reviews } = data;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link
+          to="/events"
+          className="text-sm text-primary-600 hover:text-primary-700">
+          ← All events
+        </Link>
+
+        <div className="mt-4 bg-white rounded-lg shadow-sm border border-gray-200 p-8 flex items-center space-x-6">
+          {organizer.photoURL ? (
+            <img
+              src={organizer.photoURL}
+              alt={organizer.name}
+              className="w-20 h-20 rounded-full object-cover"
+            />
+          ) : (
+            <div className="w-20 h-20 bg-primary-600 rounded-full flex items-center justify-center">
+              <span className="text-white font-medium text-2xl">
+                {organizer.name?.charAt(0)?.toUpperCase()}
+              </span>
+            </div>
+          )}
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">
+              {organizer.name}
+            </h1>
+            <p className="text-sm text-gray-600 mt-1">
+              {events.length} event{events.length === 1 ? '' : 's'} · organizing
+              since {new Date(organizer.createdAt).toLocaleDateString()}
+            </p>
+            <div className="flex items-center mt-2 text-sm text-gray-600">
+              <StarRating value={rating.average} />
+              <span className="ml-2">
+                {rating.count > 0
+                  ? `${formatRating(rating.average)} from ${rating.count} review${rating.count === 1 ? '' : 's'}`
+                  : 'No reviews yet'}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Events</h2>
+          {events.length === 0 ? (
+            <p className="text-sm text-gray-500">No public events yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {events.map((event) => (
+                <li
+                  key={event._id}
+                  className="py-3 flex items-center justify-between">
+                  <div>
+                    <Link
+                      to={`/events/${event._id}`}
+                      className="font-medium text-gray-900 hover:text-primary-600">
+                      {event.title}
+                    </Link>
+                    <p className="text-sm text-gray-500">
+                      {new Date(event.dateTime).toLocaleDateString()} ·{' '}
+                      {event.location}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    {event.rating?.count > 0 && (
+                      <span className="flex items-center text-sm text-gray-600">
+                        <StarRating
+                          value={event.rating.average}
+                          size="h-4 w-4"
+                        />
+                        <span className="ml-1">({event.rating.count})</span>
+                      </span>
+                    )}
+                    <EventStatusBadge status={getEventStatus(event, now)} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">
+            Recent reviews
+          </h2>
+          {reviews.length === 0 ? (
+            <p className="text-sm text-gray-500">No reviews yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {reviews.map((review) => (
+                <li key={review._id} className="py-3">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium text-gray-900">
+                      {review.user?.name || 'Former attendee'}
+                    </span>
+                    <StarRating value={review.rating} size="h-4 w-4" />
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    on{' '}
+                    <Link
+                      to={`/events/${review.event._id}`}
+                      className="hover:text-primary-600">
+                      {review.event.title}
+                    </Link>{' '}
+                    · {new Date(review.createdAt).toLocaleDateString()}
+                  </p>
+                  {review.comment && (
+                    <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">
+                      {review.comment}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrganizerPage;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const RegisterPage = () => {
@@ -14,6 +14,7 @@ const RegisterPage = () => {
 
   const { register, error, clearError } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -72,7 +73,8 @@ const RegisterPage = () => {
     setIsLoading(false);
 
     if (result.success) {
-      navigate('/events');
+      // Back to the page that asked for a login, if any
+      navigate(location.state?.from || '/events', { replace: true });
     }
   };
 
@@ -90,6 +92,7 @@ const RegisterPage = () => {
             Or{' '}
             <Link
               to="/login"
+              state={location.state}
               className="font-medium text-primary-600 hover:text-primary-500">
               sign in to your existing account
             </Link>
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+
+// Choose a new password with the token from the reset email
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ password: '', confirm: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/auth/reset-password', {
+        token,
+        password: formData.password,
+      });
+      setMessage(response.data.message);
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setError(err.response.data.errors.map((e) => e.msg).join(', '));
+      } else {
+        setError(err.response?.data?.message || 'Failed to reset password');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <div className="rounded-md bg-red-50 p-4">
+          <p className="text-sm text-red-800">
+            This reset link is incomplete. Please use the link from the email,
+            or <Link to="/forgot-password">request a new one</Link>.
+          </p>
+        </div>
+      );
+    }
+
+    if (message) {
+      return (
+        <div className="rounded-md bg-green-50 p-4 text-center">
+          <p className="text-sm text-green-800">{message}</p>
+          <Link to="/login" className="btn-primary inline-block mt-4">
+            Sign in
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <form className="space-y-4" onSubmit={handleSubmit}>
+        <div>
+          <label
+            htmlFor="password"
+            className="block text-sm font-medium text-gray-700 mb-1">
+            New password
+          </label>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            autoComplete="new-password"
+            required
+            minLength={6}
+            value={formData.password}
+            onChange={handleChange}
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="confirm"
+            className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm new password
+          </label>
+          <input
+            id="confirm"
+            name="confirm"
+            type="password"
+            autoComplete="new-password"
+            required
+            value={formData.confirm}
+            onChange={handleChange}
+            className="input-field"
+          />
+        </div>
+
+        {error && (
+          <div className="rounded-md bg-red-50 p-4">
+            <p className="text-sm text-red-800">{error}</p>
+            <Link
+              to="/forgot-password"
+              className="mt-1 inline-block text-sm font-medium text-red-800 underline">
+              Request a new link
+            </Link>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="btn-primary w-full">
+          {isSubmitting ? 'Saving...' : 'Set new password'}
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <h2 className="text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
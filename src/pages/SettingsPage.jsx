@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import ApiKeyManager from '../components/settings/ApiKeyManager';
+import SessionManager from '../components/settings/SessionManager';
+
+const EMAIL_OPTIONS = [
+  {
+    key: 'joinConfirmations',
+    label: 'Registration confirmations',
+    description: 'When you join an event or its waitlist.',
+  },
+  {
+    key: 'eventChanges',
+    label: 'Event changes',
+    description: 'When an event you joined gets a new time or place.',
+  },
+  {
+    key: 'reminders',
+    label: 'Reminders',
+    description: '24 hours and 1 hour before an event you joined starts.',
+  },
+];
+
+// Account settings: which emails the user receives, where they're signed
+// in and their API keys
+const SettingsPage = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await axios.get('/users/email-preferences');
+        setPreferences(response.data.preferences);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load settings');
+        console.error('Fetch email preferences error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  const handleToggle = async (key) => {
+    setSavingKey(key);
+    setError('');
+    try {
+      const response = await axios.put('/users/email-preferences', {
+        [key]: !preferences[key],
+      });
+      setPreferences(response.data.preferences);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save settings');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+        <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+
+        {error && (
+          <div className="mt-6 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {preferences && (
+          <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              Email notifications
+            </h2>
+            <ul className="divide-y divide-gray-100">
+              {EMAIL_OPTIONS.map((option) => (
+                <li
+                  key={option.key}
+                  className="py-3 flex items-start justify-between">
+                  <label htmlFor={`email-${option.key}`} className="pr-4">
+                    <span className="block text-sm font-medium text-gray-900">
+                      {option.label}
+                    </span>
+                    <span className="block text-sm text-gray-500">
+                      {option.description}
+                    </span>
+                  </label>
+                  <input
+                    id={`email-${option.key}`}
+                    type="checkbox"
+                    checked={preferences[option.key]}
+                    onChange={() => handleToggle(option.key)}
+                    disabled={savingKey === option.key}
+                    className="mt-1 h-4 w-4"
+                  />
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <SessionManager />
+        <ApiKeyManager />
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,82 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+// Landing page of the link in the verification email
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(
+    token ? '' : 'This verification link is incomplete.'
+  );
+  // Tokens are single-use, so the request must not repeat on a re-render
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verifyEmail = async () => {
+      try {
+        const response = await axios.post('/auth/verify-email', { token });
+        // The signed-in user may be the one who just verified
+        updateUser({ emailVerified: true });
+        setStatus('verified');
+        setMessage(response.data.message);
+      } catch (err) {
+        setStatus('failed');
+        setMessage(
+          err.response?.data?.message || 'Failed to verify email address'
+        );
+      }
+    };
+
+    verifyEmail();
+  }, [token, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full text-center">
+        <h2 className="text-3xl font-extrabold text-gray-900">
+          Email verification
+        </h2>
+
+        {status === 'verifying' && (
+          <div className="mt-8 flex justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="mt-8 rounded-md bg-green-50 p-4">
+            <p className="text-sm text-green-800">{message}</p>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="mt-8 rounded-md bg-red-50 p-4">
+            <p className="text-sm text-red-800">{message}</p>
+            {isAuthenticated && (
+              <p className="mt-2 text-sm text-red-800">
+                You can send a new link from the banner at the top of the page.
+              </p>
+            )}
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/events' : '/login'}
+            className="btn-primary inline-block mt-6">
+            {isAuthenticated ? 'Browse events' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,381 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import WebhookDeliveries from '../components/webhooks/WebhookDeliveries';
+
+const EVENT_LABELS = {
+  'event.created': 'Event created',
+  'event.updated': 'Event updated',
+  'event.cancelled': 'Event cancelled',
+  'attendee.joined': 'Attendee joined',
+  'attendee.left': 'Attendee left',
+};
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.errors
+    ? err.response.data.errors.map((e) => e.msg).join(', ')
+    : err.response?.data?.message || fallback;
+
+// Organizer webhooks: endpoints that get signed POSTs when the user's events
+// change, with a delivery log for each
+const WebhooksPage = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [eventTypes, setEventTypes] = useState(Object.keys(EVENT_LABELS));
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  // A secret is only shown right after it was created or rotated
+  const [revealed, setRevealed] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchWebhooks = async () => {
+    try {
+      const response = await axios.get('/webhooks');
+      setWebhooks(response.data.webhooks);
+      setEventTypes(response.data.events);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load webhooks');
+      console.error('Fetch webhooks error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  const toggleFormEvent = (type) => {
+    setFormData((prev) => ({
+      ...prev,
+      events: prev.events.includes(type)
+        ? prev.events.filter((event) => event !== type)
+        : [...prev.events, type],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await axios.post('/webhooks', formData);
+      const { webhook } = response.data;
+      setRevealed({ id: webhook._id, secret: webhook.secret });
+      setFormData(EMPTY_FORM);
+      await fetchWebhooks();
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to create webhook'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Run a change to one webhook and reload the list
+  const runAction = async (webhook, action, fallback) => {
+    setBusyId(webhook._id);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      await fetchWebhooks();
+    } catch (err) {
+      setError(getErrorMessage(err, fallback));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleEvent = (webhook, type) => {
+    const events = webhook.events.includes(type)
+      ? webhook.events.filter((event) => event !== type)
+      : [...webhook.events, type];
+    runAction(
+      webhook,
+      () => axios.put(`/webhooks/${webhook._id}`, { events }),
+      'Failed to update webhook'
+    );
+  };
+
+  const handleToggleActive = (webhook) =>
+    runAction(
+      webhook,
+      () => axios.put(`/webhooks/${webhook._id}`, { active: !webhook.active }),
+      'Failed to update webhook'
+    );
+
+  const handlePing = (webhook) =>
+    runAction(
+      webhook,
+      async () => {
+        await axios.post(`/webhooks/${webhook._id}/ping`);
+        setNotice('Test delivery queued. It shows up in the log shortly.');
+        setOpenId(webhook._id);
+      },
+      'Failed to send test'
+    );
+
+  const handleRotate = (webhook) => {
+    if (
+      !window.confirm(
+        'Rotate the signing secret? Your endpoint must use the new secret from now on.'
+      )
+    ) {
+      return;
+    }
+    runAction(
+      webhook,
+      async () => {
+        const response = await axios.post(`/webhooks/${webhook._id}/secret`);
+        setRevealed({ id: webhook._id, secret: response.data.secret });
+      },
+      'Failed to rotate secret'
+    );
+  };
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm('Delete this webhook and its delivery log?')) return;
+    runAction(
+      webhook,
+      () => axios.delete(`/webhooks/${webhook._id}`),
+      'Failed to delete webhook'
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Webhooks</h1>
+            <p className="mt-2 text-gray-600">
+              Get a signed POST request when your events change
+            </p>
+          </div>
+          <Link to="/my-events" className="btn-secondary">
+            Back to My Events
+          </Link>
+        </div>
+
+        {error && (
+          <div className="mt-6 bg-red-50 border border-red-200 rounded-md p-4">
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+        {notice && (
+          <div className="mt-6 bg-green-50 border border-green-200 rounded-md p-4">
+            <p className="text-green-700">{notice}</p>
+          </div>
+        )}
+
+        <form
+          onSubmit={handleCreate}
+          className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Add endpoint</h2>
+          <div>
+            <label
+              htmlFor="webhook-url"
+              className="block text-sm font-medium text-gray-700 mb-1">
+              Payload URL
+            </label>
+            <input
+              id="webhook-url"
+              type="url"
+              required
+              value={formData.url}
+              onChange={(e) =>
+                setFormData((prev) => ({ ...prev, url: e.target.value }))
+              }
+              placeholder="https://example.com/webhooks/eventify"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="webhook-description"
+              className="block text-sm font-medium text-gray-700 mb-1">
+              Description (optional)
+            </label>
+            <input
+              id="webhook-description"
+              type="text"
+              maxLength={200}
+              value={formData.description}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  description: e.target.value,
+                }))
+              }
+              className="input-field"
+            />
+          </div>
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">
+              Events
+            </legend>
+            <div className="flex flex-wrap gap-4">
+              {eventTypes.map((type) => (
+                <label
+                  key={type}
+                  className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.events.includes(type)}
+                    onChange={() => toggleFormEvent(type)}
+                    className="h-4 w-4"
+                  />
+                  <span>{EVENT_LABELS[type] || type}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <button
+            type="submit"
+            disabled={isSubmitting || formData.events.length === 0}
+            className="btn-primary">
+            {isSubmitting ? 'Adding...' : 'Add Webhook'}
+          </button>
+        </form>
+
+        {webhooks.length === 0 ? (
+          <p className="mt-6 text-gray-500">No webhooks yet.</p>
+        ) : (
+          <div className="mt-6 space-y-4">
+            {webhooks.map((webhook) => (
+              <div
+                key={webhook._id}
+                className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-mono text-sm text-gray-900 break-all">
+                      {webhook.url}
+                    </p>
+                    {webhook.description && (
+                      <p className="mt-1 text-sm text-gray-600">
+                        {webhook.description}
+                      </p>
+                    )}
+                    {webhook.lastDelivery && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Last delivery: {webhook.lastDelivery.event},{' '}
+                        {webhook.lastDelivery.status}
+                        {webhook.lastDelivery.responseStatus &&
+                          ` (HTTP ${webhook.lastDelivery.responseStatus})`}{' '}
+                        on{' '}
+                        {new Date(
+                          webhook.lastDelivery.createdAt
+                        ).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={webhook.active}
+                      onChange={() => handleToggleActive(webhook)}
+                      disabled={busyId === webhook._id}
+                      className="h-4 w-4"
+                    />
+                    <span>Active</span>
+                  </label>
+                </div>
+
+                {revealed?.id === webhook._id && (
+                  <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                    <p className="text-sm text-yellow-800">
+                      Signing secret, shown only now. Verify the
+                      X-Eventify-Signature header with it.
+                    </p>
+                    <p className="mt-2 font-mono text-sm text-gray-900 break-all">
+                      {revealed.secret}
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => setRevealed(null)}
+                      className="mt-2 text-sm text-primary-600 hover:text-primary-700">
+                      I&apos;ve saved it
+                    </button>
+                  </div>
+                )}
+
+                <div className="mt-4 flex flex-wrap gap-4">
+                  {eventTypes.map((type) => (
+                    <label
+                      key={type}
+                      className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={webhook.events.includes(type)}
+                        onChange={() => handleToggleEvent(webhook, type)}
+                        disabled={
+                          busyId === webhook._id ||
+                          (webhook.events.length === 1 &&
+                            webhook.events.includes(type))
+                        }
+                        className="h-4 w-4"
+                      />
+                      <span>{EVENT_LABELS[type] || type}</span>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="mt-4 flex flex-wrap gap-3">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setOpenId(openId === webhook._id ? null : webhook._id)
+                    }
+                    className="btn-secondary">
+                    {openId === webhook._id ? 'Hide Deliveries' : 'Deliveries'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handlePing(webhook)}
+                    disabled={busyId === webhook._id || !webhook.active}
+                    className="btn-secondary">
+                    Send Test
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRotate(webhook)}
+                    disabled={busyId === webhook._id}
+                    className="btn-secondary">
+                    Rotate Secret
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(webhook)}
+                    disabled={busyId === webhook._id}
+                    className="btn-danger">
+                    Delete
+                  </button>
+                </div>
+
+                {openId === webhook._id && (
+                  <WebhookDeliveries webhook={webhook} />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebhooksPage;
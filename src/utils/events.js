@@ -0,0 +1,155 @@
+import axios from 'axios';
+
+// Id of the signed-in user, whether it came from login (`id`) or verify (`_id`)
+export const getUserId = (user) => user?.id || user?._id || null;
+
+const toId = (value) => value?._id || value;
+
+// Where the user stands on an event: 'attending', 'waitlisted' or null, plus
+// their RSVP ('going', 'maybe', 'declined', 'invited' or null) and the names
+// of the guests they bring. The server sends it along to everyone but the
+// organizer, who gets the full lists instead.
+export const getParticipation = (event, userId) => {
+  if (!userId) {
+    return { status: null, waitlistPosition: null, rsvp: null, guests: [] };
+  }
+  if (event.participation) return event.participation;
+
+  if (event.attendees?.some((attendee) => toId(attendee) === userId)) {
+    return {
+      status: 'attending',
+      waitlistPosition: null,
+      rsvp: 'going',
+      guests: (event.guests || [])
+        .filter((guest) => toId(guest.host) === userId)
+        .map((guest) => guest.name),
+    };
+  }
+
+  const index = (event.waitlist || []).findIndex(
+    (entry) => toId(entry.user) === userId
+  );
+  if (index !== -1) {
+    return {
+      status: 'waitlisted',
+      waitlistPosition: index + 1,
+      rsvp: 'going',
+      guests: event.waitlist[index].guests || [],
+    };
+  }
+
+  const rsvp = (event.rsvps || []).find((entry) => toId(entry.user) === userId);
+  return {
+    status: null,
+    waitlistPosition: null,
+    rsvp: rsvp?.status || null,
+    guests: [],
+  };
+};
+
+// Answers per RSVP state; "going" counts taken seats, guests included
+export const getRsvpCounts = (event) => ({
+  waitlisted: event.waitlist?.length || 0,
+  maybe: 0,
+  declined: 0,
+  invited: 0,
+  ...event.rsvpCounts,
+  going: event.attendeeCount,
+});
+
+// Same limit as the server's maxGuestsPerAttendee validation
+export const MAX_GUESTS_PER_ATTENDEE = 10;
+
+export const isEventFull = (event) =>
+  Boolean(event.maxAttendees && event.attendeeCount >= event.maxAttendees);
+
+// Direct download link for an event's .ics file
+export const getCalendarUrl = (eventId) =>
+  `${axios.defaults.baseURL}/events/${eventId}/ics`;
+
+// Save an authenticated API response (e.g. an export) as a local file
+export const downloadFile = async (url, fileName) => {
+  const response = await axios.get(url, { responseType: 'blob' });
+  const href = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(href);
+};
+
+const FREQUENCY_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Human readable summary of a recurrence rule, e.g. "Repeats every 2 weeks"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+
+  const unit = FREQUENCY_UNITS[recurrence.frequency];
+  const interval = recurrence.interval || 1;
+
+  return interval === 1
+    ? `Repeats ${recurrence.frequency}`
+    : `Repeats every ${interval} ${unit}s`;
+};
+
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+export const getEndTime = (event) =>
+  event.endTime
+    ? new Date(event.endTime)
+    : new Date(new Date(event.dateTime).getTime() + DEFAULT_DURATION_MS);
+
+// Status as of `now`, so cards flip to ongoing/completed without waiting for
+// the server's scheduler or a refetch
+export const getEventStatus = (event, now = new Date()) => {
+  if (event.status === 'cancelled') return 'cancelled';
+  if (now < new Date(event.dateTime)) return 'upcoming';
+  if (now < getEndTime(event)) return 'ongoing';
+  return 'completed';
+};
+
+export const VISIBILITY_OPTIONS = [
+  {
+    value: 'public',
+    label: 'Public',
+    description: 'Listed on the events page for everyone',
+  },
+  {
+    value: 'unlisted',
+    label: 'Unlisted',
+    description: 'Not listed; anyone with the link can view and join',
+  },
+  {
+    value: 'invite-only',
+    label: 'Invite only',
+    description: 'Not listed; only invited people can view and join',
+  },
+];
+
+export const QUESTION_TYPE_OPTIONS = [
+  { value: 'text', label: 'Short answer' },
+  { value: 'single', label: 'Single choice' },
+  { value: 'multiple', label: 'Multiple choice' },
+];
+
+// Same limit as the server's registrationQuestions validation
+export const MAX_QUESTIONS = 10;
+
+// Registration questions as the API expects them: trimmed, without blank
+// options, and without options at all for text questions
+export const cleanQuestions = (questions) =>
+  questions.map((question) => ({
+    ...question,
+    label: question.label.trim(),
+    options:
+      question.type === 'text'
+        ? []
+        : question.options.map((option) => option.trim()).filter(Boolean),
+  }));
+
+// Registration answers shown as text, e.g. in the roster
+export const formatAnswer = (value) =>
+  Array.isArray(value) ? value.join(', ') : value || '';
+
+// Average star rating with one decimal, e.g. "4.5"
+export const formatRating = (average) => (average || 0).toFixed(1);